@@ -5,28 +5,69 @@ var logger = require('morgan');
 var cors = require('cors');
 
 var indexRouter = require('./routes/index');
-var usersRouter = require('./routes/users');
+var healthRouter = require('./routes/health.route.js');
 var booksRouter = require('./routes/books.route');
 var authorsRouter = require('./routes/authors.route.js');
+var categoriesRouter = require('./routes/categories.route.js');
+var patronsRouter = require('./routes/patrons.route.js');
+var loansRouter = require('./routes/loans.route.js');
+var itemsRouter = require('./routes/items.route.js');
+var holdsRouter = require('./routes/holds.route.js');
+var finesRouter = require('./routes/fines.route.js');
+var authRouter = require('./routes/auth.route.js');
+var reviewsRouter = require('./routes/reviews.route.js');
+var importsRouter = require('./routes/imports.route.js');
+var marcRouter = require('./routes/marc.route.js');
+var searchRouter = require('./routes/search.route.js');
+var trashRouter = require('./routes/trash.route.js');
+var auditRouter = require('./routes/audit.route.js');
+var { authenticate } = require('./middleware/auth.js');
+var { requestContext } = require('./middleware/requestContext.js');
+var { notFound, errorHandler } = require('./middleware/error.js');
 
 var app = express();
 var swaggerUi = require('swagger-ui-express');
 var swaggerSpec = require('./swagger.config.js');
 
-app.use(cors());
+// ETag and X-Request-Id have to be exposed for browsers to read them
+app.use(cors({ exposedHeaders: ['ETag', 'X-Request-Id'] }));
+app.use(requestContext);
+
+// While draining for shutdown, ask clients not to reuse their connections
+app.use(function(req, res, next) {
+  if (app.locals.shuttingDown) res.set('Connection', 'close');
+  next();
+});
 
 app.use(logger('dev'));
-app.use(express.json());
+app.use(express.json({ type: ['application/json', 'application/merge-patch+json'] }));
 app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser());
 app.use(express.static(path.join(__dirname, 'public')));
 
 app.use('/', indexRouter);
-app.use('/users', usersRouter);
+app.use('/health', healthRouter);
+app.use('/api', authenticate);
+app.use('/api/auth', authRouter);
 app.use('/api/books', booksRouter);
 app.use('/api/authors', authorsRouter);
+app.use('/api/categories', categoriesRouter);
+app.use('/api/patrons', patronsRouter);
+app.use('/api/loans', loansRouter);
+app.use('/api/items', itemsRouter);
+app.use('/api/holds', holdsRouter);
+app.use('/api/fines', finesRouter);
+app.use('/api/reviews', reviewsRouter);
+app.use('/api/imports', importsRouter);
+app.use('/api/marc', marcRouter);
+app.use('/api/search', searchRouter);
+app.use('/api/trash', trashRouter);
+app.use('/api/audit', auditRouter);
 
 app.use('/docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
+app.use(notFound);
+app.use(errorHandler);
+
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,15 @@
+// Authentication settings, read from the environment
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('JWT_SECRET must be set in production');
+}
+
+module.exports = {
+  // Secret used to sign access tokens
+  jwtSecret: process.env.JWT_SECRET || 'lib-be-development-secret',
+  // Lifetime of an access token (any value jsonwebtoken accepts, e.g. "15m")
+  accessTokenExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
+  // Lifetime of a refresh token in days
+  refreshTokenDays: parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30,
+  // bcrypt cost factor for password hashes
+  bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS, 10) || 10
+};
@@ -0,0 +1,44 @@
+// Circulation rules. Every value can be overridden from the environment so
+// branches can tune their loan policy without a code change.
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) ? fallback : parsed;
+};
+
+const toFloat = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+  // Loan period in days, per patron membership type
+  loanPeriodDays: {
+    standard: toInt(process.env.LOAN_PERIOD_STANDARD_DAYS, 21),
+    student: toInt(process.env.LOAN_PERIOD_STUDENT_DAYS, 14),
+    senior: toInt(process.env.LOAN_PERIOD_SENIOR_DAYS, 28),
+    staff: toInt(process.env.LOAN_PERIOD_STAFF_DAYS, 42)
+  },
+  // How many times a single loan may be renewed
+  maxRenewals: toInt(process.env.LOAN_MAX_RENEWALS, 2),
+  // How many books a patron may have on loan at once
+  maxActiveLoans: toInt(process.env.LOAN_MAX_ACTIVE, 5),
+  // Days a patron has to pick up a copy once their hold is ready
+  holdPickupDays: toInt(process.env.HOLD_PICKUP_DAYS, 7),
+  // How often the server expires ready holds that were not picked up and
+  // passes their copies on; 0 leaves it to POST /api/holds/expire
+  holdExpiryIntervalMinutes: toInt(process.env.HOLD_EXPIRY_INTERVAL_MINUTES, 60),
+  // How many pending or ready holds a patron may have at once
+  maxActiveHolds: toInt(process.env.HOLD_MAX_ACTIVE, 10),
+  fines: {
+    // Overdue fee charged per day once the grace period has passed
+    perDay: toFloat(process.env.FINE_PER_DAY, 0.25),
+    // Days after the due date before any overdue fee applies
+    graceDays: toInt(process.env.FINE_GRACE_DAYS, 2),
+    // Maximum overdue fee for a single loan
+    maxPerLoan: toFloat(process.env.FINE_MAX_PER_LOAN, 10),
+    // Replacement charge for lost items whose book has no price
+    defaultReplacementCost: toFloat(process.env.FINE_DEFAULT_REPLACEMENT_COST, 25),
+    // Patrons owing more than this may not check out books
+    maxBalanceForCheckout: toFloat(process.env.FINE_MAX_BALANCE_FOR_CHECKOUT, 10)
+  }
+};
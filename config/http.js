@@ -0,0 +1,23 @@
+// Conditional request and caching settings, read from the environment
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) ? fallback : parsed;
+};
+
+// Seconds a client may reuse a response before revalidating it, per cache
+// policy (see middleware/cache.js). Override one with CACHE_MAX_AGE_<POLICY>,
+// e.g. CACHE_MAX_AGE_STATS=600; 0 means revalidate every time.
+const maxAge = (policy, fallback) => toInt(process.env[`CACHE_MAX_AGE_${policy.toUpperCase()}`], fallback);
+
+module.exports = {
+  // Reject PUT/PATCH on books and authors sent without an If-Match header
+  // (428 Precondition Required) instead of applying them unconditionally
+  requireIfMatch: process.env.REQUIRE_IF_MATCH === 'true',
+  cacheMaxAge: {
+    books: maxAge('books', 60),
+    book: maxAge('book', 30),
+    authors: maxAge('authors', 300),
+    author: maxAge('author', 60),
+    stats: maxAge('stats', 300)
+  }
+};
@@ -0,0 +1,9 @@
+// Bulk import settings, read from the environment
+module.exports = {
+  // Largest upload accepted, in megabytes
+  maxFileSizeMb: parseInt(process.env.IMPORT_MAX_FILE_MB, 10) || 20,
+  // Files with more rows than this run as a background job
+  syncMaxRows: parseInt(process.env.IMPORT_SYNC_MAX_ROWS, 10) || 200,
+  // How many row errors are kept on a job
+  maxStoredErrors: parseInt(process.env.IMPORT_MAX_STORED_ERRORS, 10) || 1000
+};
@@ -0,0 +1,12 @@
+// Settings for the confidence-weighted (Bayesian) rating used in rankings.
+// A book's weighted score is its average pulled towards the catalog-wide mean
+// as if it had priorWeight extra reviews at that mean, so a single 5-star
+// review cannot outrank hundreds of 4.5s.
+const priorMean = parseFloat(process.env.RATING_PRIOR_MEAN);
+
+module.exports = {
+  // Number of "virtual" reviews at the prior mean
+  priorWeight: parseInt(process.env.RATING_PRIOR_WEIGHT, 10) || 10,
+  // Fixed prior mean; when unset the current average of all reviews is used
+  priorMean: isNaN(priorMean) ? null : priorMean
+};
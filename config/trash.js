@@ -0,0 +1,12 @@
+// Trash settings, read from the environment
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+  // Days a deleted book, author or category stays restorable before it is purged
+  retentionDays: toInt(process.env.TRASH_RETENTION_DAYS, 30),
+  // How often the server purges expired trash; 0 leaves it to POST /api/trash/purge
+  purgeIntervalHours: toInt(process.env.TRASH_PURGE_INTERVAL_HOURS, 24)
+};
@@ -0,0 +1,65 @@
+const AuditLog = require('../models/AuditLog.js');
+const { paginate } = require('../utils/pagination.js');
+
+// URL segment -> model name stored in AuditLog.resource
+const AUDIT_RESOURCES = {
+  books: 'Book',
+  authors: 'Author',
+  categories: 'Category'
+};
+
+const buildAuditQuery = ({ action, actor, from, to }) => {
+  const query = {};
+
+  if (action) query.action = action;
+  if (actor) query.actor = actor;
+  if (from || to) {
+    query.timestamp = {};
+    if (from) query.timestamp.$gte = new Date(from);
+    if (to) query.timestamp.$lte = new Date(to);
+  }
+
+  return query;
+};
+
+const findEntries = (query, options) => paginate(
+  AuditLog,
+  query,
+  { ...options, sort: { timestamp: -1 } },
+  find => find.populate('actor', 'name email role')
+);
+
+// @desc    Query the audit log, newest first
+// @route   GET /api/audit
+// @access  Private (admin)
+exports.getAuditLog = async (req, res) => {
+  const query = buildAuditQuery(req.query);
+  if (req.query.type) query.resource = AUDIT_RESOURCES[req.query.type];
+
+  const { docs: entries, meta } = await findEntries(query, req.query);
+
+  res.json({
+    success: true,
+    data: entries,
+    ...meta
+  });
+};
+
+// @desc    Change history of one book, author or category, newest first
+// @route   GET /api/audit/:type/:id
+// @access  Private (admin, librarian)
+exports.getDocumentHistory = async (req, res) => {
+  const query = {
+    ...buildAuditQuery(req.query),
+    resource: AUDIT_RESOURCES[req.params.type],
+    documentId: req.params.id
+  };
+
+  const { docs: entries, meta } = await findEntries(query, req.query);
+
+  res.json({
+    success: true,
+    data: entries,
+    ...meta
+  });
+};
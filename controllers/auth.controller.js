@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User.js');
+const Patron = require('../models/Patron.js');
+const RefreshToken = require('../models/RefreshToken.js');
+const authConfig = require('../config/auth.js');
+const { BadRequestError, ForbiddenError, NotFoundError, UnauthorizedError } = require('../utils/errors.js');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a short-lived access token and a long-lived, single-use refresh token
+const issueTokens = async (user) => {
+  const accessToken = jwt.sign(
+    { sub: String(user._id), role: user.role },
+    authConfig.jwtSecret,
+    { expiresIn: authConfig.accessTokenExpiresIn }
+  );
+
+  const refreshToken = crypto.randomBytes(40).toString('hex');
+  const stored = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + authConfig.refreshTokenDays * 24 * 60 * 60 * 1000)
+  });
+
+  return { accessToken, refreshToken, refreshTokenId: stored._id };
+};
+
+// Check that a patron an admin links a login to exists; null unlinks
+const assertPatronExists = async (patronId) => {
+  if (patronId && !(await Patron.exists({ _id: patronId }))) {
+    throw new NotFoundError('Patron not found');
+  }
+};
+
+// @desc    Register a new user
+// @route   POST /api/auth/register
+// @access  Public (only admins may choose a role other than patron or link a patron record)
+exports.register = async (req, res) => {
+  const { name, email, password, role, patron } = req.body;
+
+  // The very first account bootstraps the system as an admin
+  const isFirstUser = (await User.estimatedDocumentCount()) === 0;
+  const isAdmin = req.user && req.user.role === 'admin';
+
+  if (role && role !== 'patron' && !isAdmin && !isFirstUser) {
+    throw new ForbiddenError('Only admins can create staff accounts');
+  }
+
+  // The linked patron decides whose loans, holds and fines the login can
+  // see, so self-registered users start unlinked and an admin links them
+  if (patron !== undefined && !isAdmin && !isFirstUser) {
+    throw new ForbiddenError('Only admins can link an account to a patron record');
+  }
+  await assertPatronExists(patron);
+
+  const user = await User.create({
+    name,
+    email,
+    password,
+    patron,
+    role: isFirstUser ? 'admin' : (role || 'patron')
+  });
+
+  const tokens = await issueTokens(user);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      user: user,
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken
+    },
+    message: 'User registered successfully'
+  });
+};
+
+// @desc    Log in with email and password
+// @route   POST /api/auth/login
+// @access  Public
+exports.login = async (req, res) => {
+  const { email, password } = req.body;
+
+  if (!email || !password) {
+    throw new BadRequestError('Email and password are required');
+  }
+
+  const user = await User.findOne({ email: String(email).toLowerCase() }).select('+password');
+
+  if (!user || !user.isActive || !(await user.comparePassword(password))) {
+    throw new UnauthorizedError('Invalid email or password');
+  }
+
+  user.lastLoginAt = new Date();
+  await user.save();
+
+  const tokens = await issueTokens(user);
+
+  res.json({
+    success: true,
+    data: {
+      user: user,
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken
+    }
+  });
+};
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refresh = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    throw new BadRequestError('refreshToken is required');
+  }
+
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+
+  if (!stored) {
+    throw new UnauthorizedError('Invalid refresh token');
+  }
+
+  // A rotated token being replayed means it leaked: revoke the whole family
+  if (stored.revokedAt) {
+    await RefreshToken.updateMany({ user: stored.user, revokedAt: null }, { revokedAt: new Date() });
+    throw new UnauthorizedError('Refresh token has already been used; all sessions have been signed out');
+  }
+
+  if (!stored.isActive) {
+    throw new UnauthorizedError('Refresh token has expired');
+  }
+
+  const user = await User.findById(stored.user);
+  if (!user || !user.isActive) {
+    throw new UnauthorizedError('User no longer exists or is disabled');
+  }
+
+  const tokens = await issueTokens(user);
+  stored.revokedAt = new Date();
+  stored.replacedBy = tokens.refreshTokenId;
+  await stored.save();
+
+  res.json({
+    success: true,
+    data: {
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken
+    }
+  });
+};
+
+// @desc    Revoke a refresh token
+// @route   POST /api/auth/logout
+// @access  Public
+exports.logout = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (refreshToken) {
+    await RefreshToken.updateOne(
+      { tokenHash: hashToken(refreshToken), revokedAt: null },
+      { revokedAt: new Date() }
+    );
+  }
+
+  res.json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+};
+
+// @desc    Get the current user
+// @route   GET /api/auth/me
+// @access  Private (any signed-in user)
+exports.getMe = async (req, res) => {
+  res.json({
+    success: true,
+    data: req.user
+  });
+};
+
+// @desc    Change a user's role, linked patron or active flag
+// @route   PATCH /api/auth/users/:id
+// @access  Private (admin)
+exports.updateUserAccess = async (req, res) => {
+  const { role, isActive, patron } = req.body;
+
+  const updates = {};
+  if (role !== undefined) updates.role = role;
+  if (isActive !== undefined) updates.isActive = isActive;
+  if (patron !== undefined) {
+    await assertPatronExists(patron);
+    updates.patron = patron;
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.params.id,
+    updates,
+    { new: true, runValidators: true }
+  );
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  // Disabling an account also ends its sessions
+  if (isActive === false) {
+    await RefreshToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+  }
+
+  res.json({
+    success: true,
+    data: user,
+    message: 'User updated successfully'
+  });
+};
@@ -1,437 +1,581 @@
 const Author = require('../models/Author');
 const Book = require('../models/Book');
+const Review = require('../models/Review');
+const { resolveFormat, streamExport } = require('../utils/export.js');
+const { paginate } = require('../utils/pagination.js');
+const { runInTransaction } = require('../utils/transaction.js');
+const { setEntityTag, updateWithPreconditions } = require('../utils/preconditions.js');
+const { toMergeUpdate } = require('../utils/mergePatch.js');
+const { escapeRegex } = require('../utils/search.js');
+const { findDuplicateAuthors } = require('../utils/authorNames.js');
+const { parseFilters, parseSort, parseFields } = require('../utils/query.js');
+const { listAuthors: { listQuery: authorListQuery } } = require('../validators/authors.validator.js');
+const { BadRequestError, NotFoundError } = require('../utils/errors.js');
+
+// Build the Author filter shared by the list and export endpoints
+const buildAuthorQuery = (params) => {
+  // nationality, birthDate range
+  const query = parseFilters(params, authorListQuery);
+  
+  // Search by name
+  if (params.search) {
+    query.name = { $regex: escapeRegex(params.search), $options: 'i' };
+  }
+  
+  return query;
+};
+
+// Flattened columns for author exports
+const AUTHOR_EXPORT_COLUMNS = [
+  { header: 'id', value: author => String(author._id) },
+  { header: 'name', value: author => author.name },
+  { header: 'nationality', value: author => author.nationality },
+  { header: 'birthDate', value: author => author.birthDate?.toISOString().slice(0, 10) },
+  { header: 'email', value: author => author.email },
+  { header: 'website', value: author => author.website },
+  { header: 'bookCount', value: author => author.bookCount },
+  { header: 'biography', value: author => author.biography },
+  { header: 'createdAt', value: author => author.createdAt },
+  { header: 'updatedAt', value: author => author.updatedAt }
+];
+
+// Profile fields a merge copies from merged authors when the survivor has none
+const MERGED_FIELDS = ['birthDate', 'nationality', 'email', 'website'];
+
+// Requests for an author that was merged away go to the surviving author
+const redirectIfMerged = async (req, res) => {
+  const survivorId = await Author.findMergedInto(req.params.id);
+  if (!survivorId) return false;
+  
+  res.redirect(301, req.originalUrl.replace(req.params.id, survivorId));
+  return true;
+};
 
 // @desc    Get all authors
 // @route   GET /api/authors
 // @access  Public
 exports.getAllAuthors = async (req, res) => {
-  try {
-    const { page = 1, limit = 10, search, nationality, sortBy = 'name', order = 'asc' } = req.query;
-    
-    const query = {};
-    
-    // Filter by nationality
-    if (nationality) query.nationality = nationality;
-    
-    // Search by name
-    if (search) {
-      query.name = { $regex: search, $options: 'i' };
-    }
-    
-    const sortOrder = order === 'asc' ? 1 : -1;
-    const sortOptions = { [sortBy]: sortOrder };
-    
-    const authors = await Author.find(query)
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort(sortOptions);
-    
-    const count = await Author.countDocuments(query);
-    
-    res.json({
-      success: true,
-      data: authors,
-      totalPages: Math.ceil(count / limit),
-      currentPage: parseInt(page),
-      total: count
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+  const query = buildAuthorQuery(req.query);
+  // ?sort= takes precedence over the older sortBy/order pair
+  const sort = parseSort(req.query.sort, authorListQuery)
+    || { [req.query.sortBy]: req.query.order === 'asc' ? 1 : -1 };
+  const { select } = parseFields(req.query.fields, authorListQuery, sort);
+  
+  const { docs: authors, meta } = await paginate(
+    Author,
+    query,
+    { ...req.query, sort },
+    find => (select ? find.select(select) : find)
+  );
+  
+  res.json({
+    success: true,
+    data: authors,
+    ...meta
+  });
+};
+
+// @desc    Export authors as CSV or NDJSON
+// @route   GET /api/authors/export
+// @access  Public
+exports.exportAuthors = async (req, res) => {
+  const format = resolveFormat(req.query.format);
+  
+  if (!format) {
+    throw new BadRequestError('Format must be csv or ndjson');
   }
+  
+  const cursor = Author.aggregate([
+    { $match: buildAuthorQuery(req.query) },
+    { $sort: { _id: 1 } },
+    {
+      $lookup: {
+        from: 'books',
+        localField: '_id',
+        foreignField: 'author',
+        pipeline: [{ $match: { deletedAt: null } }, { $project: { _id: 1 } }],
+        as: 'books'
+      }
+    },
+    { $addFields: { bookCount: { $size: '$books' } } },
+    { $project: { books: 0 } }
+  ]).cursor({ batchSize: 500 });
+  
+  await streamExport(res, cursor, {
+    format,
+    columns: AUTHOR_EXPORT_COLUMNS,
+    filename: `authors-${new Date().toISOString().slice(0, 10)}`
+  });
 };
 
 // @desc    Get single author by ID
 // @route   GET /api/authors/:id
 // @access  Public
 exports.getAuthorById = async (req, res) => {
-  try {
-    const author = await Author.findById(req.params.id);
-    
-    if (!author) {
-      return res.status(404).json({
-        success: false,
-        message: 'Author not found'
-      });
-    }
-    
-    // Get author's books
-    const books = await Book.find({ author: req.params.id })
-      .populate('category', 'name slug');
-    
-    res.json({
-      success: true,
-      data: {
-        ...author.toObject(),
-        books: books
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+  const author = await Author.findById(req.params.id);
+  
+  if (!author) {
+    if (await redirectIfMerged(req, res)) return;
+    throw new NotFoundError('Author not found');
   }
+  
+  // Get author's books
+  const books = await Book.find({ author: req.params.id })
+    .populate('category', 'name slug');
+  
+  setEntityTag(res, author);
+  res.json({
+    success: true,
+    data: {
+      ...author.toObject(),
+      books: books
+    }
+  });
 };
 
 // @desc    Create new author
 // @route   POST /api/authors
-// @access  Private (add authentication middleware as needed)
+// @access  Private (admin, librarian)
 exports.createAuthor = async (req, res) => {
-  try {
-    const author = await Author.create(req.body);
-    
-    res.status(201).json({
-      success: true,
-      data: author,
-      message: 'Author created successfully'
-    });
-  } catch (error) {
-    if (error.code === 11000) {
-      return res.status(400).json({
-        success: false,
-        message: 'Author with this email already exists'
-      });
-    }
-    
-    res.status(400).json({
-      success: false,
-      message: 'Failed to create author',
-      error: error.message
-    });
-  }
+  const author = await Author.create(req.body);
+  
+  setEntityTag(res, author);
+  res.status(201).json({
+    success: true,
+    data: author,
+    message: 'Author created successfully'
+  });
 };
 
 // @desc    Update author
 // @route   PUT /api/authors/:id
-// @access  Private
+// @access  Private (admin, librarian)
 exports.updateAuthor = async (req, res) => {
-  try {
-    const author = await Author.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      {
-        new: true,
-        runValidators: true
-      }
-    );
-    
-    if (!author) {
-      return res.status(404).json({
-        success: false,
-        message: 'Author not found'
-      });
-    }
-    
-    res.json({
-      success: true,
-      data: author,
-      message: 'Author updated successfully'
-    });
-  } catch (error) {
-    res.status(400).json({
-      success: false,
-      message: 'Failed to update author',
-      error: error.message
-    });
-  }
+  const author = await updateWithPreconditions(req, Author, req.body);
+  
+  setEntityTag(res, author);
+  res.json({
+    success: true,
+    data: author,
+    message: 'Author updated successfully'
+  });
+};
+
+// @desc    Partially update author (JSON Merge Patch)
+// @route   PATCH /api/authors/:id
+// @access  Private (admin, librarian)
+exports.patchAuthor = async (req, res) => {
+  const author = await updateWithPreconditions(req, Author, toMergeUpdate(req.body));
+  
+  setEntityTag(res, author);
+  res.json({
+    success: true,
+    data: author,
+    message: 'Author updated successfully'
+  });
 };
 
-// @desc    Delete author
+// Summary of a book and what depends on it, for delete error details
+const describeBook = (book, dependencies) => ({
+  _id: book._id,
+  title: book.title,
+  isbn: book.isbn,
+  ...dependencies.get(String(book._id))
+});
+
+// @desc    Move author to the trash
 // @route   DELETE /api/authors/:id
-// @access  Private
+// @access  Private (admin)
 exports.deleteAuthor = async (req, res) => {
-  try {
-    const author = await Author.findById(req.params.id);
+  const { reassignTo } = req.query;
+  const strategy = req.query.strategy || (reassignTo ? 'reassign' : 'block');
+  
+  if (strategy === 'reassign' && !reassignTo) {
+    throw new BadRequestError('Invalid request', 'INVALID_REQUEST', [
+      { location: 'query', field: 'reassignTo', message: 'reassignTo is required when strategy is reassign' }
+    ]);
+  }
+  if (reassignTo === req.params.id) {
+    throw new BadRequestError('Books cannot be reassigned to the author being deleted');
+  }
+  
+  // On a replica set everything below reads one snapshot and writes in one
+  // transaction, so a failure leaves nothing half done. It doesn't lock the author's books: one
+  // created for this author while the transaction runs isn't seen, and stays
+  // with the trashed author.
+  const result = await runInTransaction(Author.db, async (session) => {
+    const author = await Author.findById(req.params.id).session(session);
     
     if (!author) {
-      return res.status(404).json({
-        success: false,
-        message: 'Author not found'
-      });
+      throw new NotFoundError('Author not found');
     }
     
-    // Check if author has books
-    const booksCount = await Book.countDocuments({ author: req.params.id });
+    const books = await Book.find({ author: author._id }).select('title isbn').session(session);
+    const bookIds = books.map(book => book._id);
     
-    if (booksCount > 0) {
-      return res.status(400).json({
-        success: false,
-        message: `Cannot delete author with ${booksCount} associated books. Delete books first or reassign them to another author.`
-      });
+    if (books.length > 0 && strategy === 'block') {
+      const dependencies = await Book.getDependencyCounts(bookIds, session);
+      throw new BadRequestError(
+        `Cannot delete author with ${books.length} associated books. Pass strategy=reassign with reassignTo=<authorId> to move them or strategy=cascade to delete them.`,
+        'AUTHOR_HAS_BOOKS',
+        { booksCount: books.length, books: books.map(book => describeBook(book, dependencies)) }
+      );
     }
     
-    await Author.findByIdAndDelete(req.params.id);
+    const deletedAt = new Date();
+    let booksReassigned = 0;
+    let booksDeleted = 0;
     
-    res.json({
-      success: true,
-      message: 'Author deleted successfully'
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
-  }
+    if (books.length > 0 && strategy === 'reassign') {
+      const target = await Author.findById(reassignTo).session(session);
+      if (!target) {
+        throw new NotFoundError('Target author not found');
+      }
+      
+      // Books already in the trash move too, so they can be restored under the new author
+      const update = await Book.updateMany({ author: author._id }, { author: target._id }, { session });
+      booksReassigned = update.modifiedCount;
+    }
+    
+    if (books.length > 0 && strategy === 'cascade') {
+      const dependencies = await Book.getDependencyCounts(bookIds, session);
+      const blocking = books.filter(book => Book.isDeleteBlocked(dependencies.get(String(book._id))));
+      
+      if (blocking.length > 0) {
+        throw new BadRequestError(
+          `Cannot delete ${blocking.length} of the author's books because they are on loan or have open holds`,
+          'BOOKS_HAVE_DEPENDENCIES',
+          { booksCount: blocking.length, books: blocking.map(book => describeBook(book, dependencies)) }
+        );
+      }
+      
+      // The shared deletedAt lets restoring the author bring these books back
+      const update = await Book.updateMany(
+        { _id: { $in: bookIds } },
+        { $set: { deletedAt, deletedBy: req.user._id } },
+        { session }
+      );
+      booksDeleted = update.modifiedCount;
+    }
+    
+    await author.softDelete(req.user._id, { session, deletedAt });
+    
+    return { strategy, booksReassigned, booksDeleted };
+  });
+  
+  res.json({
+    success: true,
+    message: 'Author moved to the trash',
+    data: result
+  });
 };
 
-// @desc    Get author statistics
-// @route   GET /api/authors/:id/stats
-// @access  Public
-exports.getAuthorStats = async (req, res) => {
-  try {
-    const author = await Author.findById(req.params.id);
+// @desc    List pairs of authors that are probably the same person
+// @route   GET /api/authors/duplicates
+// @access  Private (admin, librarian)
+exports.getDuplicateAuthors = async (req, res) => {
+  const { minScore, limit } = req.query;
+  
+  const authors = await Author.find().select('name email website').lean();
+  const pairs = findDuplicateAuthors(authors, { minScore }).slice(0, limit);
+  
+  // Book counts help decide which author of a pair to keep
+  const authorIds = [...new Set(pairs.flatMap(pair => pair.authors.map(author => author._id)))];
+  const bookCounts = await Book.aggregate([
+    { $match: { author: { $in: authorIds } } },
+    { $group: { _id: '$author', count: { $sum: 1 } } }
+  ]);
+  const countById = new Map(bookCounts.map(entry => [String(entry._id), entry.count]));
+  
+  res.json({
+    success: true,
+    data: pairs.map(pair => ({
+      score: pair.score,
+      reasons: pair.reasons,
+      authors: pair.authors.map(author => ({ ...author, bookCount: countById.get(String(author._id)) || 0 }))
+    })),
+    count: pairs.length
+  });
+};
+
+// @desc    Merge duplicate authors into this one
+// @route   POST /api/authors/:id/merge
+// @access  Private (admin, librarian)
+exports.mergeAuthors = async (req, res) => {
+  const sourceIds = [...new Set(req.body.sourceIds)];
+  
+  if (sourceIds.includes(req.params.id)) {
+    throw new BadRequestError('An author cannot be merged into itself', 'MERGE_INTO_SELF');
+  }
+  
+  // Record the redirects, move the books and delete the merged authors in
+  // one transaction (on a replica set), so a failure leaves both sides as
+  // they were
+  const result = await runInTransaction(Author.db, async (session) => {
+    const author = await Author.findById(req.params.id).session(session);
     
     if (!author) {
-      return res.status(404).json({
-        success: false,
-        message: 'Author not found'
-      });
+      throw new NotFoundError('Author not found');
     }
     
-    const books = await Book.find({ author: req.params.id })
-      .populate('category', 'name');
+    // Authors already merged into this one are skipped, so sending the same
+    // merge again is harmless
+    const alreadyMerged = new Set((author.mergedIds || []).map(String));
+    const sources = await Author.find({ _id: { $in: sourceIds } }).session(session);
+    const found = new Set(sources.map(source => String(source._id)));
+    const missing = sourceIds.filter(id => !found.has(id) && !alreadyMerged.has(id));
     
-    const stats = {
-      totalBooks: books.length,
-      averageRating: books.length > 0 
-        ? (books.reduce((sum, book) => sum + book.rating, 0) / books.length).toFixed(2)
-        : 0,
-      totalPages: books.reduce((sum, book) => sum + (book.pages || 0), 0),
-      genres: [...new Set(books.map(book => book.genre))],
-      categories: [...new Set(books.map(book => book.category?.name).filter(Boolean))],
-      inStockBooks: books.filter(book => book.inStock).length,
-      outOfStockBooks: books.filter(book => !book.inStock).length,
-      highestRatedBook: books.reduce((max, book) => 
-        book.rating > (max?.rating || 0) ? book : max, null
-      ),
-      mostRecentBook: books.length > 0 
-        ? books.reduce((latest, book) => 
-            (!latest || new Date(book.publishedDate) > new Date(latest.publishedDate)) ? book : latest
-          , null)
-        : null
-    };
+    if (missing.length > 0) {
+      throw new NotFoundError('Authors to merge not found', 'NOT_FOUND', { missing });
+    }
     
-    res.json({
-      success: true,
-      data: {
-        author: author,
-        statistics: stats
+    // Fill gaps in the survivor's profile; keep the longest biography
+    const aliases = new Set(author.aliases || []);
+    const mergedIds = new Set(alreadyMerged);
+    for (const source of sources) {
+      for (const field of MERGED_FIELDS) {
+        if (!author[field] && source[field]) author[field] = source[field];
+      }
+      if ((source.biography || '').length > (author.biography || '').length) {
+        author.biography = source.biography;
       }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+      [source.name, ...(source.aliases || [])].forEach(name => aliases.add(name));
+      [source._id, ...(source.mergedIds || [])].forEach(id => mergedIds.add(String(id)));
+    }
+    aliases.delete(author.name);
+    author.aliases = [...aliases];
+    author.mergedIds = [...mergedIds];
+    
+    const sourceObjectIds = sources.map(source => source._id);
+    await author.save({ session });
+    const reassigned = await Book.updateMany({ author: { $in: sourceObjectIds } }, { author: author._id }, { session });
+    await Author.deleteMany({ _id: { $in: sourceObjectIds } }, { session });
+    
+    return { author, mergedIds: sourceObjectIds, booksReassigned: reassigned.modifiedCount };
+  });
+  
+  res.json({
+    success: true,
+    data: result,
+    message: `Merged ${result.mergedIds.length} authors into ${result.author.name}`
+  });
+};
+
+// @desc    Get author statistics
+// @route   GET /api/authors/:id/stats
+// @access  Public
+exports.getAuthorStats = async (req, res) => {
+  const author = await Author.findById(req.params.id);
+  
+  if (!author) {
+    if (await redirectIfMerged(req, res)) return;
+    throw new NotFoundError('Author not found');
   }
+  
+  const books = await Book.find({ author: req.params.id })
+    .populate('category', 'name');
+  
+  const stats = {
+    totalBooks: books.length,
+    averageRating: books.length > 0 
+      ? (books.reduce((sum, book) => sum + book.rating, 0) / books.length).toFixed(2)
+      : 0,
+    totalPages: books.reduce((sum, book) => sum + (book.pages || 0), 0),
+    genres: [...new Set(books.map(book => book.genre))],
+    categories: [...new Set(books.map(book => book.category?.name).filter(Boolean))],
+    inStockBooks: books.filter(book => book.inStock).length,
+    outOfStockBooks: books.filter(book => !book.inStock).length,
+    highestRatedBook: books.reduce((max, book) => 
+      book.rating > (max?.rating || 0) ? book : max, null
+    ),
+    mostRecentBook: books.length > 0 
+      ? books.reduce((latest, book) => 
+          (!latest || new Date(book.publishedDate) > new Date(latest.publishedDate)) ? book : latest
+        , null)
+      : null
+  };
+  
+  res.json({
+    success: true,
+    data: {
+      author: author,
+      statistics: stats
+    }
+  });
 };
 
 // @desc    Get authors by nationality
 // @route   GET /api/authors/nationality/:nationality
 // @access  Public
 exports.getAuthorsByNationality = async (req, res) => {
-  try {
-    const { page = 1, limit = 10 } = req.query;
-    
-    const authors = await Author.find({ nationality: req.params.nationality })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort({ name: 1 });
-    
-    const count = await Author.countDocuments({ nationality: req.params.nationality });
-    
-    res.json({
-      success: true,
-      data: authors,
-      totalPages: Math.ceil(count / limit),
-      currentPage: parseInt(page),
-      total: count
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
-  }
+  const { docs: authors, meta } = await paginate(
+    Author,
+    { nationality: req.params.nationality },
+    { ...req.query, sortBy: 'name', order: 'asc' }
+  );
+  
+  res.json({
+    success: true,
+    data: authors,
+    ...meta
+  });
 };
 
 // @desc    Search authors
 // @route   GET /api/authors/search
 // @access  Public
 exports.searchAuthors = async (req, res) => {
-  try {
-    const { query, nationality, limit = 10 } = req.query;
-    
-    if (!query) {
-      return res.status(400).json({
-        success: false,
-        message: 'Search query is required'
-      });
-    }
-    
-    const searchQuery = {
-      $or: [
-        { name: { $regex: query, $options: 'i' } },
-        { biography: { $regex: query, $options: 'i' } }
-      ]
-    };
-    
-    if (nationality) {
-      searchQuery.nationality = nationality;
-    }
-    
-    const authors = await Author.find(searchQuery)
-      .limit(parseInt(limit))
-      .sort({ name: 1 });
-    
-    res.json({
-      success: true,
-      data: authors,
-      count: authors.length
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+  const { query, nationality, limit = 10 } = req.query;
+  
+  const searchQuery = {
+    $or: [
+      { name: { $regex: escapeRegex(query), $options: 'i' } },
+      { biography: { $regex: escapeRegex(query), $options: 'i' } }
+    ]
+  };
+  
+  if (nationality) {
+    searchQuery.nationality = nationality;
   }
+  
+  const authors = await Author.find(searchQuery)
+    .limit(parseInt(limit))
+    .sort({ name: 1 });
+  
+  res.json({
+    success: true,
+    data: authors,
+    count: authors.length
+  });
 };
 
 // @desc    Get top authors by book count
 // @route   GET /api/authors/top-by-books
 // @access  Public
 exports.getTopAuthorsByBookCount = async (req, res) => {
-  try {
-    const { limit = 10 } = req.query;
-    
-    const topAuthors = await Book.aggregate([
-      {
-        $group: {
-          _id: '$author',
-          bookCount: { $sum: 1 },
-          averageRating: { $avg: '$rating' },
-          totalPages: { $sum: '$pages' }
-        }
-      },
-      { $sort: { bookCount: -1 } },
-      { $limit: parseInt(limit) },
-      {
-        $lookup: {
-          from: 'authors',
-          localField: '_id',
-          foreignField: '_id',
-          as: 'authorInfo'
-        }
-      },
-      { $unwind: '$authorInfo' },
-      {
-        $project: {
-          _id: '$authorInfo._id',
-          name: '$authorInfo.name',
-          nationality: '$authorInfo.nationality',
-          email: '$authorInfo.email',
-          bookCount: 1,
-          averageRating: { $round: ['$averageRating', 2] },
-          totalPages: 1
-        }
+  const { limit = 10 } = req.query;
+  
+  const topAuthors = await Book.aggregate([
+    {
+      $group: {
+        _id: '$author',
+        bookCount: { $sum: 1 },
+        averageRating: { $avg: '$rating' },
+        totalPages: { $sum: '$pages' }
       }
-    ]);
-    
-    res.json({
-      success: true,
-      data: topAuthors,
-      count: topAuthors.length
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
-  }
+    },
+    { $sort: { bookCount: -1 } },
+    {
+      $lookup: {
+        from: 'authors',
+        localField: '_id',
+        foreignField: '_id',
+        pipeline: [{ $match: { deletedAt: null } }],
+        as: 'authorInfo'
+      }
+    },
+    // Authors in the trash drop out here, so limit afterwards
+    { $unwind: '$authorInfo' },
+    { $limit: parseInt(limit) },
+    {
+      $project: {
+        _id: '$authorInfo._id',
+        name: '$authorInfo.name',
+        nationality: '$authorInfo.nationality',
+        email: '$authorInfo.email',
+        bookCount: 1,
+        averageRating: { $round: ['$averageRating', 2] },
+        totalPages: 1
+      }
+    }
+  ]);
+  
+  res.json({
+    success: true,
+    data: topAuthors,
+    count: topAuthors.length
+  });
 };
 
 // @desc    Get top authors by rating
 // @route   GET /api/authors/top-by-rating
 // @access  Public
 exports.getTopAuthorsByRating = async (req, res) => {
-  try {
-    const { limit = 10, minBooks = 1 } = req.query;
-    
-    const topAuthors = await Book.aggregate([
-      { $match: { rating: { $gt: 0 } } },
-      {
-        $group: {
-          _id: '$author',
-          bookCount: { $sum: 1 },
-          averageRating: { $avg: '$rating' },
-          highestRating: { $max: '$rating' }
-        }
-      },
-      { $match: { bookCount: { $gte: parseInt(minBooks) } } },
-      { $sort: { averageRating: -1, bookCount: -1 } },
-      { $limit: parseInt(limit) },
-      {
-        $lookup: {
-          from: 'authors',
-          localField: '_id',
-          foreignField: '_id',
-          as: 'authorInfo'
-        }
-      },
-      { $unwind: '$authorInfo' },
-      {
-        $project: {
-          _id: '$authorInfo._id',
-          name: '$authorInfo.name',
-          nationality: '$authorInfo.nationality',
-          bookCount: 1,
-          averageRating: { $round: ['$averageRating', 2] },
-          highestRating: 1
+  const { limit = 10, minBooks = 1, ranking = 'weighted' } = req.query;
+  
+  // Average over every review of the author's books, and the same value
+  // pulled towards the catalog mean so authors with few reviews rank lower
+  const prior = await Review.getRatingPrior();
+  const sortField = ranking === 'average' ? 'averageRating' : 'weightedRating';
+  
+  const topAuthors = await Book.aggregate([
+    { $match: { rating: { $gt: 0 } } },
+    {
+      $group: {
+        _id: '$author',
+        bookCount: { $sum: 1 },
+        ratingCount: { $sum: { $ifNull: ['$ratingCount', 0] } },
+        ratingSum: { $sum: { $multiply: ['$rating', { $ifNull: ['$ratingCount', 0] }] } },
+        highestRating: { $max: '$rating' }
+      }
+    },
+    { $match: { bookCount: { $gte: parseInt(minBooks) } } },
+    {
+      $addFields: {
+        averageRating: {
+          $cond: [{ $gt: ['$ratingCount', 0] }, { $divide: ['$ratingSum', '$ratingCount'] }, 0]
+        },
+        weightedRating: {
+          $divide: [
+            { $add: [{ $multiply: [prior.weight, prior.mean] }, '$ratingSum'] },
+            { $add: [prior.weight, '$ratingCount'] }
+          ]
         }
       }
-    ]);
-    
-    res.json({
-      success: true,
-      data: topAuthors,
-      count: topAuthors.length
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
-  }
+    },
+    { $sort: { [sortField]: -1, ratingCount: -1 } },
+    {
+      $lookup: {
+        from: 'authors',
+        localField: '_id',
+        foreignField: '_id',
+        pipeline: [{ $match: { deletedAt: null } }],
+        as: 'authorInfo'
+      }
+    },
+    // Authors in the trash drop out here, so limit afterwards
+    { $unwind: '$authorInfo' },
+    { $limit: parseInt(limit) },
+    {
+      $project: {
+        _id: '$authorInfo._id',
+        name: '$authorInfo.name',
+        nationality: '$authorInfo.nationality',
+        bookCount: 1,
+        ratingCount: 1,
+        averageRating: { $round: ['$averageRating', 2] },
+        weightedRating: { $round: ['$weightedRating', 2] },
+        highestRating: 1
+      }
+    }
+  ]);
+  
+  res.json({
+    success: true,
+    data: topAuthors,
+    count: topAuthors.length
+  });
 };
 
 // @desc    Get all unique nationalities
 // @route   GET /api/authors/nationalities
 // @access  Public
 exports.getAllNationalities = async (req, res) => {
-  try {
-    const nationalities = await Author.distinct('nationality');
-    
-    res.json({
-      success: true,
-      data: nationalities.filter(Boolean).sort(),
-      count: nationalities.filter(Boolean).length
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
-  }
+  const nationalities = await Author.distinct('nationality');
+  
+  res.json({
+    success: true,
+    data: nationalities.filter(Boolean).sort(),
+    count: nationalities.filter(Boolean).length
+  });
 };
\ No newline at end of file
@@ -1,532 +1,698 @@
 const Book = require('../models/Book.js');
 const Author = require('../models/Author.js');
 const Category = require('../models/Category.js');
+const Item = require('../models/Item.js');
+const Hold = require('../models/Hold.js');
+const Review = require('../models/Review.js');
+const { resolveFormat, streamExport } = require('../utils/export.js');
+const { toIsbn13 } = require('../utils/isbn.js');
+const { paginate } = require('../utils/pagination.js');
+const { runInTransaction } = require('../utils/transaction.js');
+const { setEntityTag, updateWithPreconditions } = require('../utils/preconditions.js');
+const { toMergeUpdate } = require('../utils/mergePatch.js');
+const { parseFilters, parseSort, parseFields } = require('../utils/query.js');
+const { listBooks: { listQuery: bookListQuery } } = require('../validators/books.validator.js');
+const { BadRequestError, NotFoundError } = require('../utils/errors.js');
+
+// Build the Book filter shared by the list and export endpoints from the
+// query already coerced by validators/books.validator.js
+const buildBookQuery = (params) => {
+  // genre, category, author, language, publisher, price, pages, rating, ...
+  const query = parseFilters(params, bookListQuery);
+  
+  // minRating/maxRating predate rating[gte]/rating[lte] and are kept as aliases
+  if (params.minRating !== undefined) query.rating = { ...query.rating, $gte: params.minRating };
+  if (params.maxRating !== undefined) query.rating = { ...query.rating, $lte: params.maxRating };
+  
+  // Search in title and description
+  if (params.search) {
+    query.$text = { $search: params.search };
+  }
+  
+  return query;
+};
+
+// Flattened columns for book exports
+const BOOK_EXPORT_COLUMNS = [
+  { header: 'id', value: book => String(book._id) },
+  { header: 'title', value: book => book.title },
+  { header: 'isbn', value: book => book.isbn },
+  { header: 'authorName', value: book => book.author?.name },
+  { header: 'authorNationality', value: book => book.author?.nationality },
+  { header: 'categoryName', value: book => book.category?.name },
+  { header: 'categorySlug', value: book => book.category?.slug },
+  { header: 'genre', value: book => book.genre },
+  { header: 'publisher', value: book => book.publisher },
+  { header: 'publishedDate', value: book => book.publishedDate?.toISOString().slice(0, 10) },
+  { header: 'pages', value: book => book.pages },
+  { header: 'language', value: book => book.language },
+  { header: 'price', value: book => book.price },
+  { header: 'inStock', value: book => book.inStock },
+  { header: 'rating', value: book => book.rating },
+  { header: 'ratingCount', value: book => book.ratingCount },
+  { header: 'description', value: book => book.description },
+  { header: 'createdAt', value: book => book.createdAt },
+  { header: 'updatedAt', value: book => book.updatedAt }
+];
+
+// Fetch one page of books for the list and facets endpoints, with sort,
+// sparse fields and copy counts applied
+const findBooksPage = async (params) => {
+  const query = buildBookQuery(params);
+  const sort = parseSort(params.sort, bookListQuery) || { createdAt: -1 };
+  const { select, populate, computed } = parseFields(params.fields, bookListQuery, sort);
+  
+  const { docs: books, meta } = await paginate(
+    Book,
+    query,
+    { ...params, sort },
+    find => (select ? find.select(select) : find).populate(populate)
+  );
+  
+  // Report copy counts alongside the inStock flag, unless left out by ?fields=
+  const copyCounts = computed.length > 0
+    ? await Item.getCopyCounts(books.map(book => book._id))
+    : new Map();
+  const booksWithCopies = books.map(book => {
+    const counts = copyCounts.get(String(book._id)) || { totalCopies: 0, availableCopies: 0 };
+    return {
+      ...book.toObject(),
+      ...Object.fromEntries(computed.map(field => [field, counts[field]]))
+    };
+  });
+  
+  return { data: booksWithCopies, meta };
+};
 
 // @desc    Get all books
 // @route   GET /api/books
 // @access  Public
 exports.getAllBooks = async (req, res) => {
-  try {
-    const { page = 1, limit = 10, genre, inStock, search, category, minRating, maxRating } = req.query;
-    
-    const query = {};
-    
-    // Filter by genre
-    if (genre) query.genre = genre;
-    
-    // Filter by category
-    if (category) query.category = category;
-    
-    // Filter by stock status
-    if (inStock !== undefined) query.inStock = inStock === 'true';
-    
-    // Filter by rating range
-    if (minRating) query.rating = { ...query.rating, $gte: parseFloat(minRating) };
-    if (maxRating) query.rating = { ...query.rating, $lte: parseFloat(maxRating) };
-    
-    // Search in title and description
-    if (search) {
-      query.$text = { $search: search };
+  const { data, meta } = await findBooksPage(req.query);
+  
+  res.json({
+    success: true,
+    data,
+    ...meta
+  });
+};
+
+// Filters that have a facet of their own. A facet is counted with every
+// active filter except its own, so choosing a genre still shows how many
+// books each other genre would give.
+const FACET_FIELDS = ['genre', 'category', 'author', 'language', 'inStock', 'rating', 'price', 'publishedDate'];
+const RATING_BANDS = [4, 3, 2, 1];
+
+// Count distinct values of a field, most common first
+const termsFacet = (match, field, limit, lookupFrom) => [
+  { $match: { ...match, [field]: { $ne: null } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  ...(limit ? [{ $limit: limit }] : []),
+  ...(lookupFrom ? [
+    { $lookup: { from: lookupFrom, localField: '_id', foreignField: '_id', pipeline: [{ $match: { deletedAt: null } }, { $project: { name: 1 } }], as: 'info' } },
+    { $project: { _id: 0, value: '$_id', name: { $first: '$info.name' }, count: 1 } }
+  ] : [
+    { $project: { _id: 0, value: '$_id', count: 1 } }
+  ])
+];
+
+// Count values in [boundaries[i], boundaries[i + 1]), the last bucket open-ended
+const bucketFacet = (match, groupBy, boundaries) => [
+  { $match: match },
+  { $bucket: { groupBy, boundaries, default: 'above', output: { count: { $sum: 1 } } } }
+];
+
+// $bucket leaves out empty buckets; list every bucket so clients can render them
+const fillBuckets = (boundaries, results) => {
+  const counts = new Map(results.map(result => [result._id, result.count]));
+  return boundaries.map((min, index) => {
+    const max = index + 1 < boundaries.length ? boundaries[index + 1] : null;
+    return { min, max, count: counts.get(max === null ? 'above' : min) || 0 };
+  });
+};
+
+const checkBoundaries = (field, boundaries) => {
+  if (boundaries.length < 2 || boundaries.some((value, index) => index > 0 && value <= boundaries[index - 1])) {
+    throw new BadRequestError('Invalid request', 'INVALID_REQUEST', [
+      { location: 'query', field, message: `${field} must be at least two increasing numbers` }
+    ]);
+  }
+};
+
+// @desc    Get a page of books plus facet counts for the same filters
+// @route   GET /api/books/facets
+// @access  Public
+exports.getBookFacets = async (req, res) => {
+  const { facetLimit, priceBuckets, yearBuckets } = req.query;
+  checkBoundaries('priceBuckets', priceBuckets);
+  checkBoundaries('yearBuckets', yearBuckets);
+  
+  // Filters without a facet (search, publisher, pages, ...) narrow every
+  // facet and go first, which $text requires anyway
+  const filter = buildBookQuery(req.query);
+  const base = {};
+  const facetFilters = {};
+  for (const [field, condition] of Object.entries(filter)) {
+    (FACET_FIELDS.includes(field) ? facetFilters : base)[field] = condition;
+  }
+  
+  // Aggregation doesn't cast like find() does, so cast ids and dates here
+  const cast = conditions => Book.find().cast(Book, conditions);
+  const without = field => cast(Object.fromEntries(
+    Object.entries(facetFilters).filter(([key]) => key !== field)
+  ));
+  
+  const firstYear = new Date(Date.UTC(yearBuckets[0], 0, 1));
+  
+  const [page, [facets]] = await Promise.all([
+    findBooksPage(req.query),
+    Book.aggregate([
+      { $match: cast(base) },
+      {
+        $facet: {
+          genre: termsFacet(without('genre'), 'genre'),
+          category: termsFacet(without('category'), 'category', facetLimit, 'categories'),
+          author: termsFacet(without('author'), 'author', facetLimit, 'authors'),
+          language: termsFacet(without('language'), 'language', facetLimit),
+          inStock: termsFacet(without('inStock'), 'inStock'),
+          rating: [
+            { $match: without('rating') },
+            {
+              $group: {
+                _id: null,
+                ...Object.fromEntries(RATING_BANDS.map(min => [
+                  `min${min}`,
+                  { $sum: { $cond: [{ $gte: ['$rating', min] }, 1, 0] } }
+                ]))
+              }
+            }
+          ],
+          price: bucketFacet(
+            { ...without('price'), price: { $gte: priceBuckets[0] } },
+            '$price',
+            priceBuckets
+          ),
+          publishedYear: bucketFacet(
+            { ...without('publishedDate'), publishedDate: { $gte: firstYear } },
+            { $year: '$publishedDate' },
+            yearBuckets
+          )
+        }
+      }
+    ])
+  ]);
+  
+  const ratingCounts = facets.rating[0] || {};
+  
+  res.json({
+    success: true,
+    data: page.data,
+    ...page.meta,
+    facets: {
+      genre: facets.genre,
+      category: facets.category,
+      author: facets.author,
+      language: facets.language,
+      inStock: [true, false].map(value => ({
+        value,
+        count: facets.inStock.find(result => result.value === value)?.count || 0
+      })),
+      rating: RATING_BANDS.map(min => ({ min, count: ratingCounts[`min${min}`] || 0 })),
+      price: fillBuckets(priceBuckets, facets.price),
+      publishedYear: fillBuckets(yearBuckets, facets.publishedYear)
     }
-    
-    const books = await Book.find(query)
-      .populate('author', 'name nationality')
-      .populate('category', 'name slug')
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort({ createdAt: -1 });
-    
-    const count = await Book.countDocuments(query);
-    
-    res.json({
-      success: true,
-      data: books,
-      totalPages: Math.ceil(count / limit),
-      currentPage: parseInt(page),
-      total: count
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+  });
+};
+
+// @desc    Export books as CSV or NDJSON
+// @route   GET /api/books/export
+// @access  Public
+exports.exportBooks = async (req, res) => {
+  const format = resolveFormat(req.query.format);
+  
+  if (!format) {
+    throw new BadRequestError('Format must be csv or ndjson');
+  }
+  
+  const cursor = Book.find(buildBookQuery(req.query))
+    .populate('author', 'name nationality')
+    .populate('category', 'name slug')
+    .sort({ _id: 1 })
+    .lean()
+    .cursor({ batchSize: 500 });
+  
+  await streamExport(res, cursor, {
+    format,
+    columns: BOOK_EXPORT_COLUMNS,
+    filename: `books-${new Date().toISOString().slice(0, 10)}`
+  });
+};
+
+// @desc    Get single book by ISBN-10 or ISBN-13, with or without hyphens
+// @route   GET /api/books/isbn/:isbn
+// @access  Public
+exports.getBookByIsbn = async (req, res) => {
+  if (!toIsbn13(req.params.isbn)) {
+    throw new BadRequestError('Invalid ISBN');
   }
+  
+  const book = await Book.findByIsbn(req.params.isbn)
+    .populate('author')
+    .populate('category');
+  
+  if (!book) {
+    throw new NotFoundError('Book not found');
+  }
+  
+  const copyCounts = await Item.getCopyCounts([book._id]);
+  const holdQueueLength = await Hold.countDocuments({ book: book._id, status: 'pending' });
+  
+  setEntityTag(res, book);
+  res.json({
+    success: true,
+    data: {
+      ...book.toObject(),
+      ...(copyCounts.get(String(book._id)) || { totalCopies: 0, availableCopies: 0 }),
+      holdQueueLength: holdQueueLength
+    }
+  });
 };
 
 // @desc    Get single book by ID
 // @route   GET /api/books/:id
 // @access  Public
 exports.getBookById = async (req, res) => {
-  try {
-    const book = await Book.findById(req.params.id)
-      .populate('author')
-      .populate('category');
-    
-    if (!book) {
-      return res.status(404).json({
-        success: false,
-        message: 'Book not found'
-      });
-    }
-    
-    res.json({
-      success: true,
-      data: book
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+  const book = await Book.findById(req.params.id)
+    .populate('author')
+    .populate('category');
+  
+  if (!book) {
+    throw new NotFoundError('Book not found');
   }
+  
+  const copyCounts = await Item.getCopyCounts([book._id]);
+  const holdQueueLength = await Hold.countDocuments({ book: book._id, status: 'pending' });
+  
+  setEntityTag(res, book);
+  res.json({
+    success: true,
+    data: {
+      ...book.toObject(),
+      ...(copyCounts.get(String(book._id)) || { totalCopies: 0, availableCopies: 0 }),
+      holdQueueLength: holdQueueLength
+    }
+  });
 };
 
 // @desc    Create new book
 // @route   POST /api/books
-// @access  Private (add authentication middleware as needed)
+// @access  Private (admin, librarian)
 exports.createBook = async (req, res) => {
-  try {
-    // Verify author exists
-    const authorExists = await Author.findById(req.body.author);
-    if (!authorExists) {
-      return res.status(404).json({
-        success: false,
-        message: 'Author not found'
-      });
+  // Verify author exists
+  const authorExists = await Author.findById(req.body.author);
+  if (!authorExists) {
+    throw new NotFoundError('Author not found');
+  }
+  
+  // Verify category exists if provided
+  if (req.body.category) {
+    const categoryExists = await Category.findById(req.body.category);
+    if (!categoryExists) {
+      throw new NotFoundError('Category not found');
     }
-    
-    // Verify category exists if provided
-    if (req.body.category) {
-      const categoryExists = await Category.findById(req.body.category);
-      if (!categoryExists) {
-        return res.status(404).json({
-          success: false,
-          message: 'Category not found'
-        });
-      }
+  }
+  
+  // Derived fields (stock, rating, isbnOriginal) were dropped by the validator
+  const book = await Book.create(req.body);
+  
+  setEntityTag(res, book);
+  res.status(201).json({
+    success: true,
+    data: book
+  });
+};
+
+// Relations returned with an updated book
+const populateBookRefs = query => query.populate('author', 'name nationality').populate('category', 'name slug');
+
+// Verify the author and category a book is being pointed at exist
+const checkBookReferences = async (body) => {
+  if (body.author) {
+    const authorExists = await Author.findById(body.author);
+    if (!authorExists) {
+      throw new NotFoundError('Author not found');
     }
-    
-    const book = await Book.create(req.body);
-    
-    res.status(201).json({
-      success: true,
-      data: book
-    });
-  } catch (error) {
-    if (error.code === 11000) {
-      return res.status(400).json({
-        success: false,
-        message: 'Book with this ISBN already exists'
-      });
+  }
+  
+  if (body.category) {
+    const categoryExists = await Category.findById(body.category);
+    if (!categoryExists) {
+      throw new NotFoundError('Category not found');
     }
-    
-    res.status(400).json({
-      success: false,
-      message: 'Failed to create book',
-      error: error.message
-    });
   }
 };
 
 // @desc    Update book
 // @route   PUT /api/books/:id
-// @access  Private
+// @access  Private (admin, librarian)
 exports.updateBook = async (req, res) => {
-  try {
-    // If updating author, verify the author exists
-    if (req.body.author) {
-      const authorExists = await Author.findById(req.body.author);
-      if (!authorExists) {
-        return res.status(404).json({
-          success: false,
-          message: 'Author not found'
-        });
-      }
-    }
-    
-    // If updating category, verify the category exists
-    if (req.body.category) {
-      const categoryExists = await Category.findById(req.body.category);
-      if (!categoryExists) {
-        return res.status(404).json({
-          success: false,
-          message: 'Category not found'
-        });
-      }
-    }
-    
-    const book = await Book.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      {
-        new: true,
-        runValidators: true
-      }
-    ).populate('author', 'name nationality').populate('category', 'name slug');
-    
-    if (!book) {
-      return res.status(404).json({
-        success: false,
-        message: 'Book not found'
-      });
-    }
-    
-    res.json({
-      success: true,
-      data: book
-    });
-  } catch (error) {
-    res.status(400).json({
-      success: false,
-      message: 'Failed to update book',
-      error: error.message
-    });
-  }
+  await checkBookReferences(req.body);
+  
+  // Derived fields (stock, rating, isbnOriginal) were dropped by the validator
+  const book = await updateWithPreconditions(req, Book, req.body, populateBookRefs);
+  
+  setEntityTag(res, book);
+  res.json({
+    success: true,
+    data: book
+  });
+};
+
+// @desc    Partially update book (JSON Merge Patch)
+// @route   PATCH /api/books/:id
+// @access  Private (admin, librarian)
+exports.patchBook = async (req, res) => {
+  await checkBookReferences(req.body);
+  
+  const book = await updateWithPreconditions(req, Book, toMergeUpdate(req.body), populateBookRefs);
+  
+  setEntityTag(res, book);
+  res.json({
+    success: true,
+    data: book
+  });
 };
 
-// @desc    Delete book
+// @desc    Move book to the trash
 // @route   DELETE /api/books/:id
-// @access  Private
+// @access  Private (admin)
 exports.deleteBook = async (req, res) => {
-  try {
-    const book = await Book.findByIdAndDelete(req.params.id);
+  // The check and the delete share a transaction (on a replica set), so they
+  // read one snapshot and a failure leaves nothing half done. That doesn't lock out writers: a
+  // checkout or hold committed while this runs isn't a write conflict and
+  // can still land on the book as it goes to the trash.
+  const book = await runInTransaction(Book.db, async (session) => {
+    const book = await Book.findById(req.params.id).session(session);
     
     if (!book) {
-      return res.status(404).json({
-        success: false,
-        message: 'Book not found'
-      });
+      throw new NotFoundError('Book not found');
     }
     
-    res.json({
-      success: true,
-      message: 'Book deleted successfully',
-      data: book
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
-  }
+    const dependencies = (await Book.getDependencyCounts([book._id], session)).get(String(book._id));
+    
+    if (Book.isDeleteBlocked(dependencies)) {
+      throw new BadRequestError(
+        `Cannot delete a book with ${dependencies.activeLoans} active loans and ${dependencies.openHolds} open holds`,
+        'BOOK_HAS_DEPENDENCIES',
+        dependencies
+      );
+    }
+    
+    return book.softDelete(req.user._id, { session });
+  });
+  
+  res.json({
+    success: true,
+    message: 'Book moved to the trash',
+    data: book
+  });
 };
 
 // @desc    Get books by author
 // @route   GET /api/books/author/:authorId
 // @access  Public
 exports.getBooksByAuthor = async (req, res) => {
-  try {
-    const books = await Book.find({ author: req.params.authorId })
-      .populate('author', 'name nationality')
-      .populate('category', 'name slug');
-    
-    res.json({
-      success: true,
-      data: books,
-      count: books.length
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+  const books = await Book.find({ author: req.params.authorId })
+    .populate('author', 'name nationality')
+    .populate('category', 'name slug');
+  
+  // The author may have been merged into another one
+  if (books.length === 0) {
+    const survivorId = await Author.findMergedInto(req.params.authorId);
+    if (survivorId) {
+      return res.redirect(301, req.originalUrl.replace(req.params.authorId, survivorId));
+    }
   }
+  
+  res.json({
+    success: true,
+    data: books,
+    count: books.length
+  });
 };
 
 // @desc    Get books by category
 // @route   GET /api/books/category/:categoryId
 // @access  Public
 exports.getBooksByCategory = async (req, res) => {
-  try {
-    const { page = 1, limit = 10, sortBy = 'createdAt', order = 'desc' } = req.query;
-    
-    const sortOrder = order === 'asc' ? 1 : -1;
-    const sortOptions = { [sortBy]: sortOrder };
-    
-    const books = await Book.find({ category: req.params.categoryId })
-      .populate('author', 'name nationality')
-      .populate('category', 'name slug')
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort(sortOptions);
-    
-    const count = await Book.countDocuments({ category: req.params.categoryId });
-    
-    res.json({
-      success: true,
-      data: books,
-      totalPages: Math.ceil(count / limit),
-      currentPage: parseInt(page),
-      total: count
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
-  }
+  const { docs: books, meta } = await paginate(
+    Book,
+    { category: req.params.categoryId },
+    req.query,
+    find => find.populate('author', 'name nationality').populate('category', 'name slug')
+  );
+  
+  res.json({
+    success: true,
+    data: books,
+    ...meta
+  });
 };
 
 // @desc    Get top 10 books by rating for every category
 // @route   GET /api/books/top-rated-by-category
 // @access  Public
 exports.getTopRatedBooksByCategory = async (req, res) => {
-  try {
-    const topBooksByCategory = await Book.aggregate([
-      // Only include books with ratings
-      { $match: { rating: { $gt: 0 } } },
-      
-      // Sort by rating in descending order
-      { $sort: { rating: -1, title: 1 } },
-      
-      // Group by category and get top 10 books for each
-      {
-        $group: {
-          _id: '$category',
-          books: {
-            $push: {
-              _id: '$_id',
-              title: '$title',
-              author: '$author',
-              rating: '$rating',
-              genre: '$genre',
-              price: '$price',
-              inStock: '$inStock',
-              publishedDate: '$publishedDate'
-            }
-          }
-        }
-      },
-      
-      // Limit to top 10 books per category
-      {
-        $project: {
-          _id: 1,
-          books: { $slice: ['$books', 10] }
-        }
-      },
-      
-      // Lookup category details
-      {
-        $lookup: {
-          from: 'categories',
-          localField: '_id',
-          foreignField: '_id',
-          as: 'categoryInfo'
+  const { ranking = 'weighted' } = req.query;
+  
+  // Confidence-weighted score: the average pulled towards the catalog mean
+  // by `weight` virtual reviews, so few reviews count for less
+  const prior = await Review.getRatingPrior();
+  const sortField = ranking === 'average' ? 'rating' : 'weightedRating';
+  
+  const topBooksByCategory = await Book.aggregate([
+    // Only include books with ratings
+    { $match: { rating: { $gt: 0 } } },
+    
+    {
+      $addFields: {
+        weightedRating: {
+          $divide: [
+            { $add: [{ $multiply: [prior.weight, prior.mean] }, { $multiply: ['$rating', { $ifNull: ['$ratingCount', 0] }] }] },
+            { $add: [prior.weight, { $ifNull: ['$ratingCount', 0] }] }
+          ]
         }
-      },
-      
-      // Unwind category info
-      { $unwind: { path: '$categoryInfo', preserveNullAndEmptyArrays: true } },
-      
-      // Format the output
-      {
-        $project: {
-          _id: 0,
-          categoryId: '$_id',
-          categoryName: '$categoryInfo.name',
-          categorySlug: '$categoryInfo.slug',
-          books: 1
+      }
+    },
+    
+    // Sort by the chosen score in descending order
+    { $sort: { [sortField]: -1, title: 1 } },
+    
+    // Group by category and get top 10 books for each
+    {
+      $group: {
+        _id: '$category',
+        books: {
+          $push: {
+            _id: '$_id',
+            title: '$title',
+            author: '$author',
+            rating: '$rating',
+            ratingCount: '$ratingCount',
+            weightedRating: { $round: ['$weightedRating', 2] },
+            genre: '$genre',
+            price: '$price',
+            inStock: '$inStock',
+            publishedDate: '$publishedDate'
+          }
         }
-      },
-      
-      // Sort by category name
-      { $sort: { categoryName: 1 } }
-    ]);
-    
-    // Populate author details for each book
-    for (let category of topBooksByCategory) {
-      await Book.populate(category.books, {
-        path: 'author',
-        select: 'name nationality'
-      });
-    }
-    
-    // Handle books with no category
-    const booksWithoutCategory = topBooksByCategory.find(cat => cat.categoryId === null);
-    if (booksWithoutCategory) {
-      booksWithoutCategory.categoryName = 'Uncategorized';
-      booksWithoutCategory.categorySlug = 'uncategorized';
-    }
+      }
+    },
     
-    res.json({
-      success: true,
-      data: topBooksByCategory,
-      count: topBooksByCategory.length
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
+    // Limit to top 10 books per category
+    {
+      $project: {
+        _id: 1,
+        books: { $slice: ['$books', 10] }
+      }
+    },
+    
+    // Lookup category details
+    {
+      $lookup: {
+        from: 'categories',
+        localField: '_id',
+        foreignField: '_id',
+        pipeline: [{ $match: { deletedAt: null } }],
+        as: 'categoryInfo'
+      }
+    },
+    
+    // Unwind category info
+    { $unwind: { path: '$categoryInfo', preserveNullAndEmptyArrays: true } },
+    
+    // Format the output
+    {
+      $project: {
+        _id: 0,
+        categoryId: '$_id',
+        categoryName: '$categoryInfo.name',
+        categorySlug: '$categoryInfo.slug',
+        books: 1
+      }
+    },
+    
+    // Sort by category name
+    { $sort: { categoryName: 1 } }
+  ]);
+  
+  // Populate author details for each book
+  for (let category of topBooksByCategory) {
+    await Book.populate(category.books, {
+      path: 'author',
+      select: 'name nationality'
     });
   }
+  
+  // Handle books with no category
+  const booksWithoutCategory = topBooksByCategory.find(cat => cat.categoryId === null);
+  if (booksWithoutCategory) {
+    booksWithoutCategory.categoryName = 'Uncategorized';
+    booksWithoutCategory.categorySlug = 'uncategorized';
+  }
+  
+  res.json({
+    success: true,
+    data: topBooksByCategory,
+    count: topBooksByCategory.length
+  });
 };
 
-// @desc    Update book stock status
+// @desc    Recalculate book stock status from its available copies
 // @route   PATCH /api/books/:id/stock
-// @access  Private
+// @access  Private (admin, librarian)
 exports.updateBookStock = async (req, res) => {
-  try {
-    const { inStock } = req.body;
-    
-    if (inStock === undefined) {
-      return res.status(400).json({
-        success: false,
-        message: 'inStock field is required'
-      });
-    }
-    
-    const book = await Book.findByIdAndUpdate(
-      req.params.id,
-      { inStock },
-      { new: true, runValidators: true }
-    ).populate('author', 'name nationality').populate('category', 'name slug');
-    
-    if (!book) {
-      return res.status(404).json({
-        success: false,
-        message: 'Book not found'
-      });
-    }
-    
-    res.json({
-      success: true,
-      data: book,
-      message: `Book stock status updated to ${inStock ? 'in stock' : 'out of stock'}`
-    });
-  } catch (error) {
-    res.status(400).json({
-      success: false,
-      message: 'Failed to update book stock',
-      error: error.message
-    });
+  const exists = await Book.exists({ _id: req.params.id });
+
+  if (!exists) {
+    throw new NotFoundError('Book not found');
   }
+  
+  // Availability is derived from copy records, so the request body is ignored
+  const inStock = await Item.syncBookAvailability(req.params.id);
+  
+  const book = await Book.findById(req.params.id)
+    .populate('author', 'name nationality')
+    .populate('category', 'name slug');
+  
+  res.json({
+    success: true,
+    data: book,
+    message: `Book stock status updated to ${inStock ? 'in stock' : 'out of stock'}`
+  });
 };
 
-// @desc    Update book rating
+// @desc    Rate a book (creates or updates the caller's review)
 // @route   PATCH /api/books/:id/rating
-// @access  Public
+// @access  Private (any signed-in user)
 exports.updateBookRating = async (req, res) => {
-  try {
-    const { rating } = req.body;
-    
-    if (rating === undefined || rating < 0 || rating > 5) {
-      return res.status(400).json({
-        success: false,
-        message: 'Rating must be between 0 and 5'
-      });
-    }
-    
-    const book = await Book.findByIdAndUpdate(
-      req.params.id,
-      { rating },
-      { new: true, runValidators: true }
-    ).populate('author', 'name nationality').populate('category', 'name slug');
-    
-    if (!book) {
-      return res.status(404).json({
-        success: false,
-        message: 'Book not found'
-      });
-    }
-    
-    res.json({
-      success: true,
-      data: book,
-      message: 'Book rating updated successfully'
-    });
-  } catch (error) {
-    res.status(400).json({
-      success: false,
-      message: 'Failed to update book rating',
-      error: error.message
-    });
+  const { rating } = req.body;
+  
+  const bookExists = await Book.exists({ _id: req.params.id });
+  if (!bookExists) {
+    throw new NotFoundError('Book not found');
   }
+  
+  // One review per user per book, so rating again replaces the earlier score
+  await Review.findOneAndUpdate(
+    { book: req.params.id, reviewer: req.user._id },
+    { rating },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  await Review.recomputeBookRating(req.params.id);
+  
+  const book = await Book.findById(req.params.id)
+    .populate('author', 'name nationality')
+    .populate('category', 'name slug');
+  
+  res.json({
+    success: true,
+    data: book,
+    message: 'Book rating updated successfully'
+  });
 };
 
 // @desc    Get book statistics
 // @route   GET /api/books/stats/overview
 // @access  Public
 exports.getBookStatistics = async (req, res) => {
-  try {
-    const stats = await Book.aggregate([
-      {
-        $facet: {
-          totalBooks: [{ $count: 'count' }],
-          inStockBooks: [
-            { $match: { inStock: true } },
-            { $count: 'count' }
-          ],
-          outOfStockBooks: [
-            { $match: { inStock: false } },
-            { $count: 'count' }
-          ],
-          averageRating: [
-            { $group: { _id: null, avgRating: { $avg: '$rating' } } }
-          ],
-          booksByGenre: [
-            { $group: { _id: '$genre', count: { $sum: 1 } } },
-            { $sort: { count: -1 } }
-          ],
-          booksByCategory: [
-            { $group: { _id: '$category', count: { $sum: 1 } } },
-            { $lookup: {
-                from: 'categories',
-                localField: '_id',
-                foreignField: '_id',
-                as: 'categoryInfo'
-              }
-            },
-            { $unwind: { path: '$categoryInfo', preserveNullAndEmptyArrays: true } },
-            { $project: {
-                _id: 1,
-                categoryName: '$categoryInfo.name',
-                count: 1
-              }
-            },
-            { $sort: { count: -1 } }
-          ],
-          topRatedBooks: [
-            { $match: { rating: { $gt: 0 } } },
-            { $sort: { rating: -1 } },
-            { $limit: 5 },
-            { $project: { title: 1, rating: 1, author: 1 } }
-          ]
-        }
+  const stats = await Book.aggregate([
+    {
+      $facet: {
+        totalBooks: [{ $count: 'count' }],
+        inStockBooks: [
+          { $match: { inStock: true } },
+          { $count: 'count' }
+        ],
+        outOfStockBooks: [
+          { $match: { inStock: false } },
+          { $count: 'count' }
+        ],
+        averageRating: [
+          { $group: { _id: null, avgRating: { $avg: '$rating' } } }
+        ],
+        booksByGenre: [
+          { $group: { _id: '$genre', count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ],
+        booksByCategory: [
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $lookup: {
+              from: 'categories',
+              localField: '_id',
+              foreignField: '_id',
+              pipeline: [{ $match: { deletedAt: null } }],
+              as: 'categoryInfo'
+            }
+          },
+          { $unwind: { path: '$categoryInfo', preserveNullAndEmptyArrays: true } },
+          { $project: {
+              _id: 1,
+              categoryName: '$categoryInfo.name',
+              count: 1
+            }
+          },
+          { $sort: { count: -1 } }
+        ],
+        topRatedBooks: [
+          { $match: { rating: { $gt: 0 } } },
+          { $sort: { rating: -1 } },
+          { $limit: 5 },
+          { $project: { title: 1, rating: 1, author: 1 } }
+        ]
       }
-    ]);
-    
-    // Populate authors for top rated books
-    if (stats[0].topRatedBooks.length > 0) {
-      await Book.populate(stats[0].topRatedBooks, {
-        path: 'author',
-        select: 'name'
-      });
     }
-    
-    res.json({
-      success: true,
-      data: {
-        totalBooks: stats[0].totalBooks[0]?.count || 0,
-        inStockBooks: stats[0].inStockBooks[0]?.count || 0,
-        outOfStockBooks: stats[0].outOfStockBooks[0]?.count || 0,
-        averageRating: stats[0].averageRating[0]?.avgRating?.toFixed(2) || 0,
-        booksByGenre: stats[0].booksByGenre,
-        booksByCategory: stats[0].booksByCategory,
-        topRatedBooks: stats[0].topRatedBooks
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
+  ]);
+  
+  // Populate authors for top rated books
+  if (stats[0].topRatedBooks.length > 0) {
+    await Book.populate(stats[0].topRatedBooks, {
+      path: 'author',
+      select: 'name'
     });
   }
+  
+  res.json({
+    success: true,
+    data: {
+      totalBooks: stats[0].totalBooks[0]?.count || 0,
+      inStockBooks: stats[0].inStockBooks[0]?.count || 0,
+      outOfStockBooks: stats[0].outOfStockBooks[0]?.count || 0,
+      averageRating: stats[0].averageRating[0]?.avgRating?.toFixed(2) || 0,
+      booksByGenre: stats[0].booksByGenre,
+      booksByCategory: stats[0].booksByCategory,
+      topRatedBooks: stats[0].topRatedBooks
+    }
+  });
 };
\ No newline at end of file
@@ -0,0 +1,319 @@
+const Category = require('../models/Category.js');
+const Book = require('../models/Book.js');
+const { BadRequestError, NotFoundError } = require('../utils/errors.js');
+const { escapeRegex } = require('../utils/search.js');
+
+// Walk up the parentCategory chain starting at categoryId and return the
+// ancestors ordered from the root down. Stops on a cycle so corrupted data
+// can never hang the request.
+const getAncestors = async (categoryId) => {
+  const ancestors = [];
+  const visited = new Set();
+  let current = await Category.findById(categoryId).select('name slug parentCategory').lean();
+
+  while (current && current.parentCategory && !visited.has(String(current.parentCategory))) {
+    visited.add(String(current.parentCategory));
+    current = await Category.findById(current.parentCategory).select('name slug parentCategory').lean();
+    if (current) ancestors.unshift(current);
+  }
+
+  return ancestors;
+};
+
+// Returns true when making parentId the parent of categoryId would create a
+// loop, i.e. categoryId is parentId itself or one of its ancestors.
+const wouldCreateCycle = async (categoryId, parentId) => {
+  if (!categoryId || !parentId) return false;
+  if (String(categoryId) === String(parentId)) return true;
+
+  const ancestors = await getAncestors(parentId);
+  return ancestors.some(ancestor => String(ancestor._id) === String(categoryId));
+};
+
+// Collect the ids of every descendant of categoryId
+const getDescendantIds = async (categoryId) => {
+  const descendants = [];
+  let frontier = [categoryId];
+
+  while (frontier.length > 0) {
+    const children = await Category.find({ parentCategory: { $in: frontier } }).select('_id').lean();
+    frontier = children
+      .map(child => child._id)
+      .filter(id => !descendants.some(existing => String(existing) === String(id)));
+    descendants.push(...frontier);
+  }
+
+  return descendants;
+};
+
+// @desc    Get all categories
+// @route   GET /api/categories
+// @access  Public
+exports.getAllCategories = async (req, res) => {
+  const { page = 1, limit = 50, search, isActive, parent } = req.query;
+
+  const query = {};
+
+  // Filter by active status
+  if (isActive !== undefined) query.isActive = isActive === 'true';
+
+  // Filter by parent category ("root" returns top-level categories)
+  if (parent === 'root') {
+    query.parentCategory = null;
+  } else if (parent) {
+    query.parentCategory = parent;
+  }
+
+  // Search by name
+  if (search) {
+    query.name = { $regex: escapeRegex(search), $options: 'i' };
+  }
+
+  const categories = await Category.find(query)
+    .populate('parentCategory', 'name slug')
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .sort({ name: 1 });
+
+  const count = await Category.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: categories,
+    totalPages: Math.ceil(count / limit),
+    currentPage: parseInt(page),
+    total: count
+  });
+};
+
+// @desc    Get categories as a nested parent/child tree
+// @route   GET /api/categories/tree
+// @access  Public
+exports.getCategoryTree = async (req, res) => {
+  const { isActive } = req.query;
+
+  const query = {};
+  if (isActive !== undefined) query.isActive = isActive === 'true';
+
+  const categories = await Category.find(query)
+    .select('name slug description isActive parentCategory')
+    .sort({ name: 1 })
+    .lean();
+
+  const bookCounts = await Book.aggregate([
+    { $match: { category: { $ne: null } } },
+    { $group: { _id: '$category', count: { $sum: 1 } } }
+  ]);
+  const bookCountById = new Map(bookCounts.map(entry => [String(entry._id), entry.count]));
+
+  const nodesById = new Map();
+  for (const category of categories) {
+    nodesById.set(String(category._id), {
+      ...category,
+      bookCount: bookCountById.get(String(category._id)) || 0,
+      children: []
+    });
+  }
+
+  // Categories whose parent was filtered out (or no longer exists) are
+  // promoted to roots so they still show up in the tree
+  const roots = [];
+  for (const node of nodesById.values()) {
+    const parent = node.parentCategory && nodesById.get(String(node.parentCategory));
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  res.json({
+    success: true,
+    data: roots,
+    count: categories.length
+  });
+};
+
+// @desc    Get single category by slug
+// @route   GET /api/categories/slug/:slug
+// @access  Public
+exports.getCategoryBySlug = async (req, res) => {
+  const category = await Category.findOne({ slug: req.params.slug.toLowerCase() })
+    .populate('parentCategory', 'name slug');
+
+  if (!category) {
+    throw new NotFoundError('Category not found');
+  }
+
+  const children = await Category.find({ parentCategory: category._id })
+    .select('name slug isActive')
+    .sort({ name: 1 });
+
+  res.json({
+    success: true,
+    data: {
+      ...category.toObject(),
+      children: children
+    }
+  });
+};
+
+// @desc    Get single category by ID
+// @route   GET /api/categories/:id
+// @access  Public
+exports.getCategoryById = async (req, res) => {
+  const category = await Category.findById(req.params.id)
+    .populate('parentCategory', 'name slug');
+
+  if (!category) {
+    throw new NotFoundError('Category not found');
+  }
+
+  const children = await Category.find({ parentCategory: category._id })
+    .select('name slug isActive')
+    .sort({ name: 1 });
+
+  const bookCount = await Book.countDocuments({ category: category._id });
+
+  res.json({
+    success: true,
+    data: {
+      ...category.toObject(),
+      children: children,
+      bookCount: bookCount
+    }
+  });
+};
+
+// @desc    Get breadcrumb trail (root -> category) for a category
+// @route   GET /api/categories/:id/breadcrumbs
+// @access  Public
+exports.getCategoryBreadcrumbs = async (req, res) => {
+  const category = await Category.findById(req.params.id).select('name slug parentCategory').lean();
+
+  if (!category) {
+    throw new NotFoundError('Category not found');
+  }
+
+  const ancestors = await getAncestors(category._id);
+  const breadcrumbs = [...ancestors, category].map(crumb => ({
+    _id: crumb._id,
+    name: crumb.name,
+    slug: crumb.slug
+  }));
+
+  res.json({
+    success: true,
+    data: breadcrumbs,
+    count: breadcrumbs.length
+  });
+};
+
+// @desc    Create new category
+// @route   POST /api/categories
+// @access  Private (admin, librarian)
+exports.createCategory = async (req, res) => {
+  // Verify parent category exists if provided
+  if (req.body.parentCategory) {
+    const parentExists = await Category.findById(req.body.parentCategory);
+    if (!parentExists) {
+      throw new NotFoundError('Parent category not found');
+    }
+  }
+
+  const category = await Category.create(req.body);
+
+  res.status(201).json({
+    success: true,
+    data: category,
+    message: 'Category created successfully'
+  });
+};
+
+// @desc    Update category
+// @route   PUT /api/categories/:id
+// @access  Private (admin, librarian)
+exports.updateCategory = async (req, res) => {
+  const category = await Category.findById(req.params.id);
+
+  if (!category) {
+    throw new NotFoundError('Category not found');
+  }
+
+  // If changing parent, verify it exists and does not create a cycle
+  if (req.body.parentCategory) {
+    const parentExists = await Category.findById(req.body.parentCategory);
+    if (!parentExists) {
+      throw new NotFoundError('Parent category not found');
+    }
+
+    if (await wouldCreateCycle(category._id, req.body.parentCategory)) {
+      throw new BadRequestError('A category cannot be its own parent or be moved under one of its descendants');
+    }
+  }
+
+  // Use save() rather than findByIdAndUpdate so the slug hook runs on rename.
+  // The validator has dropped derived and trash fields from the body.
+  category.set(req.body);
+  await category.save();
+  await category.populate('parentCategory', 'name slug');
+
+  res.json({
+    success: true,
+    data: category,
+    message: 'Category updated successfully'
+  });
+};
+
+// @desc    Move category to the trash
+// @route   DELETE /api/categories/:id
+// @access  Private (admin)
+exports.deleteCategory = async (req, res) => {
+  const { reassignTo, force } = req.query;
+
+  const category = await Category.findById(req.params.id);
+
+  if (!category) {
+    throw new NotFoundError('Category not found');
+  }
+
+  const childCount = await Category.countDocuments({ parentCategory: category._id });
+  const booksCount = await Book.countDocuments({ category: category._id });
+
+  if (reassignTo) {
+    // Move children and books to another category
+    const target = await Category.findById(reassignTo);
+    if (!target) {
+      throw new NotFoundError('Target category not found');
+    }
+
+    const descendantIds = await getDescendantIds(category._id);
+    if (String(target._id) === String(category._id) || descendantIds.some(id => String(id) === String(target._id))) {
+      throw new BadRequestError('Target category cannot be the deleted category or one of its descendants');
+    }
+
+    await Category.updateMany({ parentCategory: category._id }, { parentCategory: target._id });
+    await Book.updateMany({ category: category._id }, { category: target._id });
+  } else if (force === 'true') {
+    // Promote children to the deleted category's parent and uncategorize books
+    await Category.updateMany({ parentCategory: category._id }, { parentCategory: category.parentCategory });
+    await Book.updateMany({ category: category._id }, { $unset: { category: 1 } });
+  } else if (childCount > 0 || booksCount > 0) {
+    throw new BadRequestError(
+      `Cannot delete category with ${childCount} child categories and ${booksCount} associated books. Pass reassignTo=<categoryId> to move them or force=true to detach them.`,
+      'CATEGORY_NOT_EMPTY',
+      { childCount: childCount, booksCount: booksCount }
+    );
+  }
+
+  await category.softDelete(req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Category moved to the trash',
+    data: {
+      childCategoriesMoved: childCount,
+      booksMoved: booksCount
+    }
+  });
+};
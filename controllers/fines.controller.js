@@ -0,0 +1,118 @@
+const LedgerEntry = require('../models/LedgerEntry.js');
+const Patron = require('../models/Patron.js');
+const circulation = require('../config/circulation.js');
+const { BadRequestError, NotFoundError } = require('../utils/errors.js');
+const { paginate } = require('../utils/pagination.js');
+
+// Balance summary shared by the ledger and balance endpoints
+const getAccountSummary = async (patronId) => {
+  const balance = await LedgerEntry.getBalance(patronId);
+  const accruedFines = await LedgerEntry.getAccruedFines(patronId);
+  const totalOwed = Math.round((balance + accruedFines) * 100) / 100;
+
+  return {
+    balance: balance,
+    accruedFines: accruedFines,
+    totalOwed: totalOwed,
+    checkoutBlocked: totalOwed > circulation.fines.maxBalanceForCheckout,
+    checkoutLimit: circulation.fines.maxBalanceForCheckout
+  };
+};
+
+// Records a credit (payment or waiver) that may not exceed the posted balance
+const recordCredit = async (req, res, type) => {
+  const { amount, method, description } = req.body;
+  const value = Math.round(parseFloat(amount) * 100) / 100;
+
+  if (!(value > 0)) {
+    throw new BadRequestError('Amount must be a positive number');
+  }
+
+  const patron = await Patron.findById(req.params.patronId);
+  if (!patron) {
+    throw new NotFoundError('Patron not found');
+  }
+
+  const balance = await LedgerEntry.getBalance(patron._id);
+  if (value > balance) {
+    throw new BadRequestError(`Amount ${value.toFixed(2)} exceeds the outstanding balance of ${balance.toFixed(2)}`);
+  }
+
+  const entry = await LedgerEntry.create({
+    patron: patron._id,
+    type: type,
+    amount: value,
+    method: type === 'payment' ? method : undefined,
+    description: description
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      entry: entry,
+      ...(await getAccountSummary(patron._id))
+    },
+    message: type === 'payment' ? 'Payment recorded successfully' : 'Waiver recorded successfully'
+  });
+};
+
+// @desc    Get a patron's ledger of charges, payments and waivers
+// @route   GET /api/fines/patron/:patronId
+// @access  Private (admin, librarian; patrons for their own records)
+exports.getPatronLedger = async (req, res) => {
+  const { type } = req.query;
+
+  const patron = await Patron.findById(req.params.patronId).select('firstName lastName cardNumber');
+  if (!patron) {
+    throw new NotFoundError('Patron not found');
+  }
+
+  const query = { patron: patron._id };
+  if (type) query.type = type;
+
+  const { docs: entries, meta } = await paginate(
+    LedgerEntry,
+    query,
+    { ...req.query, sort: { createdAt: -1 } },
+    find => find.populate({ path: 'loan', select: 'book dueDate returnedAt', populate: { path: 'book', select: 'title' } })
+  );
+
+  res.json({
+    success: true,
+    data: {
+      patron: patron,
+      ...(await getAccountSummary(patron._id)),
+      entries: entries
+    },
+    ...meta
+  });
+};
+
+// @desc    Get a patron's outstanding balance
+// @route   GET /api/fines/patron/:patronId/balance
+// @access  Private (admin, librarian; patrons for their own records)
+exports.getPatronBalance = async (req, res) => {
+  const patron = await Patron.exists({ _id: req.params.patronId });
+  if (!patron) {
+    throw new NotFoundError('Patron not found');
+  }
+
+  res.json({
+    success: true,
+    data: await getAccountSummary(req.params.patronId)
+  });
+};
+
+// @desc    Record a payment from a patron
+// @route   POST /api/fines/patron/:patronId/payments
+// @access  Private (admin, librarian)
+exports.recordPayment = async (req, res) => {
+  await recordCredit(req, res, 'payment');
+};
+
+// @desc    Waive part or all of a patron's balance
+// @route   POST /api/fines/patron/:patronId/waivers
+// @access  Private (admin, librarian)
+exports.recordWaiver = async (req, res) => {
+  await recordCredit(req, res, 'waiver');
+};
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// mongoose.connection.readyState values
+const DB_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+// @desc    Liveness probe: the process is up and serving requests
+// @route   GET /health/live
+// @access  Public
+exports.live = (req, res) => {
+  res.json({
+    success: true,
+    status: 'ok',
+    uptime: Math.round(process.uptime())
+  });
+};
+
+// @desc    Readiness probe: MongoDB is connected and we are not shutting down
+// @route   GET /health/ready
+// @access  Public
+exports.ready = (req, res) => {
+  const database = DB_STATES[mongoose.connection.readyState] || 'unknown';
+  const shuttingDown = Boolean(req.app.locals.shuttingDown);
+  const ready = database === 'connected' && !shuttingDown;
+
+  res.status(ready ? 200 : 503).json({
+    success: ready,
+    status: shuttingDown ? 'shutting_down' : ready ? 'ready' : 'not_ready',
+    checks: {
+      mongodb: database
+    }
+  });
+};
@@ -0,0 +1,232 @@
+const Hold = require('../models/Hold.js');
+const Book = require('../models/Book.js');
+const Patron = require('../models/Patron.js');
+const Item = require('../models/Item.js');
+const Loan = require('../models/Loan.js');
+const circulation = require('../config/circulation.js');
+const { canActForPatron } = require('../middleware/auth.js');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../utils/errors.js');
+const { paginate } = require('../utils/pagination.js');
+
+// @desc    Get all holds
+// @route   GET /api/holds
+// @access  Private (admin, librarian)
+exports.getAllHolds = async (req, res) => {
+  const { status, patron, book } = req.query;
+
+  const query = {};
+
+  // Filter by hold status
+  if (status) query.status = status;
+
+  // Filter by patron or book
+  if (patron) query.patron = patron;
+  if (book) query.book = book;
+
+  const { docs: holds, meta } = await paginate(
+    Hold,
+    query,
+    { ...req.query, sort: { placedAt: 1 } },
+    find => find
+      .populate('book', 'title isbn')
+      .populate('patron', 'firstName lastName cardNumber')
+      .populate('item', 'barcode shelfLocation')
+  );
+
+  res.json({
+    success: true,
+    data: holds,
+    ...meta
+  });
+};
+
+// @desc    Get the hold queue for a book
+// @route   GET /api/holds/book/:bookId
+// @access  Private (admin, librarian)
+exports.getBookHoldQueue = async (req, res) => {
+  const holds = await Hold.find({ book: req.params.bookId, status: { $in: ['pending', 'ready'] } })
+    .populate('patron', 'firstName lastName cardNumber')
+    .populate('item', 'barcode shelfLocation')
+    .sort({ placedAt: 1 });
+
+  // Ready holds are out of the queue; number the pending ones in order
+  let position = 0;
+  const queue = holds.map(hold => ({
+    ...hold.toObject(),
+    queuePosition: hold.status === 'pending' ? ++position : null
+  }));
+
+  res.json({
+    success: true,
+    data: queue,
+    count: queue.length,
+    queueLength: position
+  });
+};
+
+// @desc    Get holds for a patron
+// @route   GET /api/holds/patron/:patronId
+// @access  Private (admin, librarian; patrons for their own records)
+exports.getPatronHolds = async (req, res) => {
+  const { status } = req.query;
+
+  const query = { patron: req.params.patronId };
+  if (status) query.status = status;
+
+  const holds = await Hold.find(query)
+    .populate('book', 'title isbn')
+    .populate('item', 'barcode shelfLocation')
+    .sort({ placedAt: -1 });
+
+  const holdsWithPosition = await Promise.all(holds.map(async hold => ({
+    ...hold.toObject(),
+    queuePosition: await Hold.getQueuePosition(hold)
+  })));
+
+  res.json({
+    success: true,
+    data: holdsWithPosition,
+    count: holdsWithPosition.length
+  });
+};
+
+// @desc    Get single hold by ID
+// @route   GET /api/holds/:id
+// @access  Private (admin, librarian; patrons for their own records)
+exports.getHoldById = async (req, res) => {
+  const hold = await Hold.findById(req.params.id)
+    .populate('book', 'title isbn')
+    .populate('patron', 'firstName lastName cardNumber')
+    .populate('item', 'barcode shelfLocation');
+
+  if (!hold) {
+    throw new NotFoundError('Hold not found');
+  }
+
+  if (!canActForPatron(req.user, hold.populated('patron'))) {
+    throw new ForbiddenError('You can only view your own holds', 'NOT_OWN_RECORD');
+  }
+
+  res.json({
+    success: true,
+    data: {
+      ...hold.toObject(),
+      queuePosition: await Hold.getQueuePosition(hold)
+    }
+  });
+};
+
+// @desc    Place a hold on a book
+// @route   POST /api/holds
+// @access  Private (admin, librarian; patrons for their own records)
+exports.placeHold = async (req, res) => {
+  const { bookId, patronId } = req.body;
+
+  if (!bookId || !patronId) {
+    throw new BadRequestError('bookId and patronId are required');
+  }
+
+  const patron = await Patron.findById(patronId);
+  if (!patron) {
+    throw new NotFoundError('Patron not found');
+  }
+
+  if (patron.status !== 'active' || patron.isMembershipExpired) {
+    throw new BadRequestError(`Patron cannot place holds while membership is ${patron.isMembershipExpired ? 'expired' : patron.status}`);
+  }
+
+  // Books in the trash can't be held
+  const book = await Book.findById(bookId);
+  if (!book) {
+    throw new NotFoundError('Book not found');
+  }
+
+  const totalCopies = await Item.countDocuments({ book: book._id, status: { $ne: 'lost' } });
+  if (totalCopies === 0) {
+    throw new BadRequestError('Book has no copies that could fill a hold');
+  }
+
+  const availableCopies = await Item.countDocuments({ book: book._id, status: 'available' });
+  if (availableCopies > 0) {
+    throw new BadRequestError('A copy of this book is available; check it out instead of placing a hold');
+  }
+
+  const existingHold = await Hold.exists({ book: book._id, patron: patron._id, status: { $in: ['pending', 'ready'] } });
+  if (existingHold) {
+    throw new BadRequestError('Patron already has a hold on this book');
+  }
+
+  const onLoan = await Loan.exists({ book: book._id, patron: patron._id, status: 'active' });
+  if (onLoan) {
+    throw new BadRequestError('Patron already has this book on loan');
+  }
+
+  const activeHolds = await Hold.countDocuments({ patron: patron._id, status: { $in: ['pending', 'ready'] } });
+  if (activeHolds >= circulation.maxActiveHolds) {
+    throw new BadRequestError(`Patron has reached the limit of ${circulation.maxActiveHolds} active holds`);
+  }
+
+  const hold = await Hold.create({ book: book._id, patron: patron._id });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      ...hold.toObject(),
+      queuePosition: await Hold.getQueuePosition(hold)
+    },
+    message: 'Hold placed successfully'
+  });
+};
+
+// @desc    Cancel a hold
+// @route   POST /api/holds/:id/cancel
+// @access  Private (admin, librarian; patrons for their own records)
+exports.cancelHold = async (req, res) => {
+  const existing = await Hold.findById(req.params.id).select('patron');
+  if (!existing) {
+    throw new NotFoundError('Hold not found');
+  }
+
+  if (!canActForPatron(req.user, existing.patron)) {
+    throw new ForbiddenError('You can only cancel your own holds', 'NOT_OWN_RECORD');
+  }
+
+  const hold = await Hold.findOneAndUpdate(
+    { _id: req.params.id, status: { $in: ['pending', 'ready'] } },
+    { status: 'cancelled', closedAt: new Date() },
+    { new: false }
+  );
+
+  if (!hold) {
+    throw new BadRequestError('Only pending or ready holds can be cancelled');
+  }
+
+  // A ready hold was holding a copy; pass it to the next patron in line
+  if (hold.status === 'ready' && hold.item) {
+    const item = await Item.findById(hold.item);
+    if (item && item.status === 'on_hold') {
+      await Hold.releaseItem(item);
+    }
+  }
+
+  const cancelled = await Hold.findById(hold._id);
+
+  res.json({
+    success: true,
+    data: cancelled,
+    message: 'Hold cancelled successfully'
+  });
+};
+
+// @desc    Expire ready holds that were not picked up in time
+// @route   POST /api/holds/expire
+// @access  Private (admin, librarian)
+exports.expireHolds = async (req, res) => {
+  const expired = await Hold.expireReadyHolds();
+
+  res.json({
+    success: true,
+    data: { expired: expired },
+    message: `${expired} hold(s) expired`
+  });
+};
@@ -0,0 +1,370 @@
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const ImportJob = require('../models/ImportJob.js');
+const Book = require('../models/Book.js');
+const Author = require('../models/Author.js');
+const Category = require('../models/Category.js');
+const importConfig = require('../config/import.js');
+const { BadRequestError, NotFoundError } = require('../utils/errors.js');
+const { failureErrors, validationErrors } = require('../utils/importErrors.js');
+
+// Column names we recognise out of the box, compared lower-cased with
+// everything except letters and digits removed ("Published Date" -> "publisheddate")
+const DEFAULT_COLUMNS = {
+  title: 'title',
+  booktitle: 'title',
+  author: 'author',
+  authorname: 'author',
+  isbn: 'isbn',
+  publisheddate: 'publishedDate',
+  published: 'publishedDate',
+  publisher: 'publisher',
+  pages: 'pages',
+  genre: 'genre',
+  category: 'category',
+  categoryslug: 'category',
+  description: 'description',
+  language: 'language',
+  price: 'price',
+  authorbiography: 'authorBiography',
+  authorbirthdate: 'authorBirthDate',
+  authornationality: 'authorNationality',
+  authoremail: 'authorEmail',
+  authorwebsite: 'authorWebsite'
+};
+
+// Fields a custom mapping may target; anything else (inStock, rating, _id...) is rejected
+const IMPORTABLE_FIELDS = new Set(Object.values(DEFAULT_COLUMNS));
+
+// Author profile columns and the Author field each one fills
+const AUTHOR_COLUMNS = {
+  authorBiography: 'biography',
+  authorBirthDate: 'birthDate',
+  authorNationality: 'nationality',
+  authorEmail: 'email',
+  authorWebsite: 'website'
+};
+
+const normalizeColumn = (column) => String(column).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Parse the uploaded file into an array of plain row objects
+const parseRows = (file, format) => {
+  const text = file.buffer.toString('utf8');
+
+  if (format === 'json') {
+    const parsed = JSON.parse(text);
+    const rows = Array.isArray(parsed) ? parsed : parsed && parsed.books;
+    if (!Array.isArray(rows) || !rows.every(isPlainObject)) {
+      throw new Error('JSON must be an array of book objects or an object with a "books" array of them');
+    }
+    return rows;
+  }
+
+  return parse(text, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+};
+
+// Turn a raw row into { book, authorName, author, categorySlug } using the
+// default column names plus any custom mapping supplied with the upload
+const mapRow = (row, mapping) => {
+  const mapped = {};
+
+  for (const [column, value] of Object.entries(row)) {
+    const field = Object.hasOwn(mapping, column) ? mapping[column] : DEFAULT_COLUMNS[normalizeColumn(column)];
+    if (!IMPORTABLE_FIELDS.has(field) || value === undefined || value === null || value === '') continue;
+    mapped[field] = typeof value === 'string' ? value.trim() : value;
+  }
+
+  const { author: authorName, category: categorySlug, ...rest } = mapped;
+  const book = {};
+  const author = {};
+
+  for (const [field, value] of Object.entries(rest)) {
+    if (AUTHOR_COLUMNS[field]) {
+      author[AUTHOR_COLUMNS[field]] = value;
+    } else {
+      book[field] = value;
+    }
+  }
+
+  if (book.isbn !== undefined) {
+    book.isbn = String(book.isbn).replace(/[\s-]/g, '');
+  }
+
+  return { book, author, authorName, categorySlug };
+};
+
+// Check a custom { column: field } mapping; returns a list of problems in
+// the { location, field, message } form of request validation errors
+const mappingErrors = (mapping) => {
+  const problem = (message) => ({ location: 'body', field: 'mapping', message });
+
+  if (!isPlainObject(mapping)) {
+    return [problem('mapping must be a JSON object of { "column": "field" }')];
+  }
+  return Object.entries(mapping)
+    .filter(([, field]) => !IMPORTABLE_FIELDS.has(field))
+    .map(([column, field]) => problem(`Column "${column}" maps to ${JSON.stringify(field)}, which is not an importable field`));
+};
+
+// Validate and (unless dryRun) write every row. Authors are matched by name
+// case-insensitively and created when missing; categories are resolved by
+// slug; books are upserted by ISBN. A new author is only saved (and
+// counted) with the first of its rows that imports cleanly, so rows that
+// fail don't leave authors behind.
+const processRows = async (rows, { dryRun, mapping, onProgress }) => {
+  const summary = { booksCreated: 0, booksUpdated: 0, authorsCreated: 0, failedRows: 0 };
+  const rowErrors = [];
+  const report = [];
+  const authorCache = new Map();
+  const newAuthors = new Set();
+  const categoryCache = new Map();
+
+  for (let index = 0; index < rows.length; index++) {
+    const rowNumber = index + 1;
+    const errors = [];
+    let book = {};
+    let action = null;
+
+    try {
+      const mapped = mapRow(rows[index], mapping);
+      book = mapped.book;
+      const { author, authorName, categorySlug } = mapped;
+
+      // Resolve or create the author
+      let authorDoc = null;
+      if (!authorName) {
+        errors.push({ field: 'author', message: 'Author name is required' });
+      } else {
+        const key = authorName.toLowerCase();
+        authorDoc = authorCache.get(key);
+        if (!authorDoc) {
+          authorDoc = await Author.findOne({ name: { $regex: `^${escapeRegex(authorName)}$`, $options: 'i' } });
+          if (!authorDoc) {
+            authorDoc = new Author({ name: authorName, ...author });
+            try {
+              await authorDoc.validate();
+              newAuthors.add(authorDoc);
+            } catch (error) {
+              errors.push(...validationErrors(`row ${rowNumber}`, error, 'author.'));
+              authorDoc = null;
+            }
+          }
+          if (authorDoc) authorCache.set(key, authorDoc);
+        }
+      }
+
+      // Resolve the category by slug
+      if (categorySlug) {
+        const slug = categorySlug.toLowerCase();
+        if (!categoryCache.has(slug)) {
+          categoryCache.set(slug, await Category.findOne({ slug }).select('_id'));
+        }
+        const category = categoryCache.get(slug);
+        if (category) {
+          book.category = category._id;
+        } else {
+          errors.push({ field: 'category', message: `Category with slug "${categorySlug}" not found` });
+        }
+      }
+
+      // Upsert by ISBN, running the Book schema validators either way
+      const existing = book.isbn ? await Book.findByIsbn(book.isbn) : null;
+      const bookDoc = existing || new Book();
+      bookDoc.set(book);
+      if (authorDoc) bookDoc.author = authorDoc._id;
+      action = existing ? 'update' : 'create';
+
+      try {
+        await bookDoc.validate();
+      } catch (error) {
+        // A missing author is already reported above
+        errors.push(...validationErrors(`row ${rowNumber}`, error).filter(e => !(e.field === 'author' && !authorName)));
+      }
+
+      if (errors.length === 0) {
+        if (newAuthors.has(authorDoc)) {
+          if (!dryRun) await authorDoc.save();
+          newAuthors.delete(authorDoc);
+          summary.authorsCreated += 1;
+        }
+        if (!dryRun) await bookDoc.save();
+      }
+    } catch (error) {
+      errors.push(...failureErrors(`row ${rowNumber}`, error));
+    }
+
+    const numbered = errors.map(error => ({ row: rowNumber, ...error }));
+
+    if (errors.length > 0) {
+      summary.failedRows += 1;
+      rowErrors.push(...numbered);
+      action = 'error';
+    } else if (action === 'create') {
+      summary.booksCreated += 1;
+    } else {
+      summary.booksUpdated += 1;
+    }
+
+    report.push({ row: rowNumber, action, isbn: book.isbn, title: book.title, errors: numbered });
+
+    if (onProgress) await onProgress(rowNumber);
+  }
+
+  return { summary, rowErrors, report };
+};
+
+// Run an import and record progress and the final summary on its job
+const runImportJob = async (job, rows, options) => {
+  job.status = 'processing';
+  job.startedAt = new Date();
+  await job.save();
+
+  try {
+    const result = await processRows(rows, {
+      ...options,
+      onProgress: async (processed) => {
+        if (processed % 50 === 0) {
+          await ImportJob.updateOne({ _id: job._id }, { processedRows: processed });
+        }
+      }
+    });
+
+    job.processedRows = rows.length;
+    job.summary = result.summary;
+    job.rowErrors = result.rowErrors.slice(0, importConfig.maxStoredErrors);
+    job.status = 'completed';
+    job.finishedAt = new Date();
+    await job.save();
+
+    return result;
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+    job.finishedAt = new Date();
+    await job.save();
+    throw error;
+  }
+};
+
+// @desc    Import books (and their authors) from a CSV or JSON file
+// @route   POST /api/imports/books
+// @access  Private (admin, librarian)
+exports.importBooks = async (req, res) => {
+  if (!req.file) {
+    throw new BadRequestError('A CSV or JSON file is required in the "file" field');
+  }
+
+  const extension = path.extname(req.file.originalname || '').slice(1).toLowerCase();
+  const format = (req.body.format || extension || '').toLowerCase();
+
+  if (!['csv', 'json'].includes(format)) {
+    throw new BadRequestError('Format must be csv or json');
+  }
+
+  let mapping = {};
+  if (req.body.mapping) {
+    try {
+      mapping = JSON.parse(req.body.mapping);
+    } catch (error) {
+      throw new BadRequestError('mapping must be a JSON object of { "column": "field" }');
+    }
+  }
+
+  const invalidMapping = mappingErrors(mapping);
+  if (invalidMapping.length > 0) {
+    throw new BadRequestError('Invalid column mapping', 'INVALID_MAPPING', invalidMapping);
+  }
+
+  let rows;
+  try {
+    rows = parseRows(req.file, format);
+  } catch (error) {
+    throw new BadRequestError(`Could not parse ${format.toUpperCase()} file: ${error.message}`, 'UNPARSEABLE_FILE');
+  }
+
+  const dryRun = String(req.body.dryRun ?? req.query.dryRun) === 'true';
+
+  const job = await ImportJob.create({
+    format,
+    fileName: req.file.originalname,
+    dryRun,
+    totalRows: rows.length,
+    createdBy: req.user ? req.user._id : null
+  });
+
+  // Large files run in the background; poll GET /api/imports/:id for progress
+  if (rows.length > importConfig.syncMaxRows) {
+    setImmediate(() => {
+      runImportJob(job, rows, { dryRun, mapping }).catch(error => {
+        console.error(`Import job ${job._id} failed: ${error.message}`);
+      });
+    });
+
+    return res.status(202).json({
+      success: true,
+      data: job,
+      message: `Import of ${rows.length} rows queued`
+    });
+  }
+
+  const result = await runImportJob(job, rows, { dryRun, mapping });
+
+  res.status(dryRun ? 200 : 201).json({
+    success: true,
+    data: {
+      job: job,
+      rows: result.report
+    },
+    message: dryRun
+      ? `Dry run: ${rows.length - result.summary.failedRows} of ${rows.length} rows are valid`
+      : `Imported ${rows.length - result.summary.failedRows} of ${rows.length} rows`
+  });
+};
+
+// @desc    Get import jobs
+// @route   GET /api/imports
+// @access  Private (admin, librarian)
+exports.getAllImportJobs = async (req, res) => {
+  const { page = 1, limit = 10, status } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+
+  const jobs = await ImportJob.find(query)
+    .select('-rowErrors')
+    .populate('createdBy', 'name')
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .sort({ createdAt: -1 });
+
+  const count = await ImportJob.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: jobs,
+    totalPages: Math.ceil(count / limit),
+    currentPage: parseInt(page),
+    total: count
+  });
+};
+
+// @desc    Get an import job with its progress and row errors
+// @route   GET /api/imports/:id
+// @access  Private (admin, librarian)
+exports.getImportJobById = async (req, res) => {
+  const job = await ImportJob.findById(req.params.id)
+    .populate('createdBy', 'name');
+
+  if (!job) {
+    throw new NotFoundError('Import job not found');
+  }
+
+  res.json({
+    success: true,
+    data: job
+  });
+};
@@ -0,0 +1,208 @@
+const Item = require('../models/Item.js');
+const Book = require('../models/Book.js');
+const Hold = require('../models/Hold.js');
+const { BadRequestError, NotFoundError } = require('../utils/errors.js');
+const { paginate } = require('../utils/pagination.js');
+
+// Statuses staff may set by hand; on_loan and on_hold are only set by circulation
+const MANUAL_STATUSES = ['available', 'lost', 'in_repair'];
+
+// @desc    Get all items (physical copies)
+// @route   GET /api/items
+// @access  Private (admin, librarian)
+exports.getAllItems = async (req, res) => {
+  const { book, status, shelfLocation } = req.query;
+
+  const query = {};
+
+  // Filter by book
+  if (book) query.book = book;
+
+  // Filter by status
+  if (status) query.status = status;
+
+  // Filter by shelf location
+  if (shelfLocation) query.shelfLocation = shelfLocation;
+
+  const { docs: items, meta } = await paginate(
+    Item,
+    query,
+    { ...req.query, sort: { barcode: 1 } },
+    find => find.populate('book', 'title isbn')
+  );
+
+  res.json({
+    success: true,
+    data: items,
+    ...meta
+  });
+};
+
+// @desc    Get all copies of a book
+// @route   GET /api/items/book/:bookId
+// @access  Private (admin, librarian)
+exports.getItemsByBook = async (req, res) => {
+  const items = await Item.find({ book: req.params.bookId })
+    .sort({ barcode: 1 });
+
+  res.json({
+    success: true,
+    data: items,
+    count: items.length,
+    availableCount: items.filter(item => item.status === 'available').length
+  });
+};
+
+// @desc    Get item by barcode
+// @route   GET /api/items/barcode/:barcode
+// @access  Private (admin, librarian)
+exports.getItemByBarcode = async (req, res) => {
+  const item = await Item.findOne({ barcode: req.params.barcode.toUpperCase() })
+    .populate('book', 'title isbn author');
+
+  if (!item) {
+    throw new NotFoundError('Item not found');
+  }
+
+  res.json({
+    success: true,
+    data: item
+  });
+};
+
+// @desc    Get single item by ID
+// @route   GET /api/items/:id
+// @access  Private (admin, librarian)
+exports.getItemById = async (req, res) => {
+  const item = await Item.findById(req.params.id)
+    .populate('book', 'title isbn author');
+
+  if (!item) {
+    throw new NotFoundError('Item not found');
+  }
+
+  res.json({
+    success: true,
+    data: item
+  });
+};
+
+// @desc    Create new item (add a copy of a book)
+// @route   POST /api/items
+// @access  Private (admin, librarian)
+exports.createItem = async (req, res) => {
+  const bookExists = await Book.exists({ _id: req.body.book });
+  if (!bookExists) {
+    throw new NotFoundError('Book not found');
+  }
+
+  if (req.body.status && !MANUAL_STATUSES.includes(req.body.status)) {
+    throw new BadRequestError(`Status must be one of ${MANUAL_STATUSES.join(', ')}`);
+  }
+
+  const item = await Item.create(req.body);
+
+  // A new shelf-ready copy fills the oldest waiting hold first
+  if (item.status === 'available') {
+    await Hold.releaseItem(item);
+  } else {
+    await Item.syncBookAvailability(item.book);
+  }
+
+  res.status(201).json({
+    success: true,
+    data: item,
+    message: 'Item created successfully'
+  });
+};
+
+// @desc    Update item details
+// @route   PUT /api/items/:id
+// @access  Private (admin, librarian)
+exports.updateItem = async (req, res) => {
+  // Status and book changes go through their own rules
+  const { status, book, ...updates } = req.body;
+
+  if (status !== undefined || book !== undefined) {
+    throw new BadRequestError('Use PATCH /api/items/:id/status to change status; an item cannot be moved to another book');
+  }
+
+  const item = await Item.findByIdAndUpdate(
+    req.params.id,
+    updates,
+    {
+      new: true,
+      runValidators: true
+    }
+  );
+
+  if (!item) {
+    throw new NotFoundError('Item not found');
+  }
+
+  res.json({
+    success: true,
+    data: item,
+    message: 'Item updated successfully'
+  });
+};
+
+// @desc    Update item status
+// @route   PATCH /api/items/:id/status
+// @access  Private (admin, librarian)
+exports.updateItemStatus = async (req, res) => {
+  const { status } = req.body;
+
+  if (!MANUAL_STATUSES.includes(status)) {
+    throw new BadRequestError(`Status must be one of ${MANUAL_STATUSES.join(', ')}`);
+  }
+
+  const item = await Item.findById(req.params.id);
+
+  if (!item) {
+    throw new NotFoundError('Item not found');
+  }
+
+  if (item.status === 'on_loan' || item.status === 'on_hold') {
+    throw new BadRequestError(`Item is ${item.status === 'on_loan' ? 'on loan; return it' : 'held for a patron; cancel the hold'} before changing its status`);
+  }
+
+  if (status === 'available') {
+    // A copy coming back into circulation fills the oldest waiting hold first
+    await Hold.releaseItem(item);
+  } else {
+    item.status = status;
+    await item.save();
+    await Item.syncBookAvailability(item.book);
+  }
+
+  res.json({
+    success: true,
+    data: item,
+    message: `Item status updated to ${item.status}`
+  });
+};
+
+// @desc    Delete item
+// @route   DELETE /api/items/:id
+// @access  Private (admin, librarian)
+exports.deleteItem = async (req, res) => {
+  const item = await Item.findById(req.params.id);
+
+  if (!item) {
+    throw new NotFoundError('Item not found');
+  }
+
+  if (item.status === 'on_loan' || item.status === 'on_hold') {
+    throw new BadRequestError(`Cannot delete an item that is ${item.status === 'on_loan' ? 'on loan' : 'held for a patron'}`);
+  }
+
+  await Item.findByIdAndDelete(item._id);
+  await Item.syncBookAvailability(item.book);
+
+  res.json({
+    success: true,
+    message: 'Item deleted successfully',
+    data: item
+  });
+};
@@ -0,0 +1,404 @@
+const Loan = require('../models/Loan.js');
+const Book = require('../models/Book.js');
+const Patron = require('../models/Patron.js');
+const Item = require('../models/Item.js');
+const Hold = require('../models/Hold.js');
+const LedgerEntry = require('../models/LedgerEntry.js');
+const circulation = require('../config/circulation.js');
+const { canActForPatron } = require('../middleware/auth.js');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../utils/errors.js');
+const { paginate } = require('../utils/pagination.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Loan period for a patron, falling back to the standard period
+const getLoanPeriodDays = (patron) => {
+  return circulation.loanPeriodDays[patron.membershipType] || circulation.loanPeriodDays.standard;
+};
+
+// Refuse a checkout or renewal while the patron's membership is not in
+// good standing or they owe too much, counting fees still accruing
+const assertCanBorrow = async (patron) => {
+  if (patron.status !== 'active' || patron.isMembershipExpired) {
+    throw new BadRequestError(`Patron cannot borrow books while membership is ${patron.isMembershipExpired ? 'expired' : patron.status}`);
+  }
+
+  const owed = await LedgerEntry.getBalance(patron._id) + await LedgerEntry.getAccruedFines(patron._id);
+  if (owed > circulation.fines.maxBalanceForCheckout) {
+    throw new BadRequestError(`Patron owes ${owed.toFixed(2)}, which is over the checkout limit of ${circulation.fines.maxBalanceForCheckout.toFixed(2)}`);
+  }
+};
+
+// @desc    Get all loans
+// @route   GET /api/loans
+// @access  Private (admin, librarian)
+exports.getAllLoans = async (req, res) => {
+  const { status, patron, book } = req.query;
+
+  const query = {};
+
+  // Filter by loan status
+  if (status) query.status = status;
+
+  // Filter by patron or book
+  if (patron) query.patron = patron;
+  if (book) query.book = book;
+
+  const { docs: loans, meta } = await paginate(
+    Loan,
+    query,
+    { ...req.query, sort: { checkedOutAt: -1 } },
+    find => find
+      .populate('book', 'title isbn')
+      .populate('item', 'barcode shelfLocation')
+      .populate('patron', 'firstName lastName cardNumber')
+  );
+
+  res.json({
+    success: true,
+    data: loans,
+    ...meta
+  });
+};
+
+// @desc    Get overdue loans
+// @route   GET /api/loans/overdue
+// @access  Private (admin, librarian)
+exports.getOverdueLoans = async (req, res) => {
+  const { docs: loans, meta } = await paginate(
+    Loan,
+    { status: 'active', dueDate: { $lt: new Date() } },
+    { ...req.query, sort: { dueDate: 1 } },
+    find => find
+      .populate('book', 'title isbn')
+      .populate('item', 'barcode shelfLocation')
+      .populate('patron', 'firstName lastName cardNumber email phone')
+  );
+
+  res.json({
+    success: true,
+    data: loans,
+    ...meta
+  });
+};
+
+// @desc    Get loan history for a book
+// @route   GET /api/loans/book/:bookId
+// @access  Private (admin, librarian)
+exports.getBookLoanHistory = async (req, res) => {
+  const book = await Book.findById(req.params.bookId).select('title isbn inStock');
+
+  if (!book) {
+    throw new NotFoundError('Book not found');
+  }
+
+  const { docs: loans, meta } = await paginate(
+    Loan,
+    { book: book._id },
+    { ...req.query, sort: { checkedOutAt: -1 } },
+    find => find
+      .populate('item', 'barcode shelfLocation')
+      .populate('patron', 'firstName lastName cardNumber')
+  );
+
+  res.json({
+    success: true,
+    data: {
+      book: book,
+      loans: loans
+    },
+    ...meta
+  });
+};
+
+// @desc    Get loans for a patron
+// @route   GET /api/loans/patron/:patronId
+// @access  Private (admin, librarian; patrons for their own records)
+exports.getPatronLoans = async (req, res) => {
+  const { status } = req.query;
+
+  const query = { patron: req.params.patronId };
+  if (status) query.status = status;
+
+  const loans = await Loan.find(query)
+    .populate('book', 'title isbn')
+    .populate('item', 'barcode shelfLocation')
+    .sort({ checkedOutAt: -1 });
+
+  res.json({
+    success: true,
+    data: loans,
+    count: loans.length
+  });
+};
+
+// @desc    Get single loan by ID
+// @route   GET /api/loans/:id
+// @access  Private (admin, librarian; patrons for their own records)
+exports.getLoanById = async (req, res) => {
+  const loan = await Loan.findById(req.params.id)
+    .populate('book', 'title isbn')
+    .populate('item', 'barcode shelfLocation')
+    .populate('patron', 'firstName lastName cardNumber');
+
+  if (!loan) {
+    throw new NotFoundError('Loan not found');
+  }
+
+  if (!canActForPatron(req.user, loan.populated('patron'))) {
+    throw new ForbiddenError('You can only view your own loans', 'NOT_OWN_RECORD');
+  }
+
+  res.json({
+    success: true,
+    data: loan
+  });
+};
+
+// @desc    Check out a copy of a book to a patron
+// @route   POST /api/loans/checkout
+// @access  Private (admin, librarian)
+exports.checkoutBook = async (req, res) => {
+  const { bookId, barcode, patronId } = req.body;
+
+  if ((!bookId && !barcode) || !patronId) {
+    throw new BadRequestError('patronId and either bookId or barcode are required');
+  }
+
+  const patron = await Patron.findById(patronId);
+  if (!patron) {
+    throw new NotFoundError('Patron not found');
+  }
+
+  await assertCanBorrow(patron);
+
+  const activeLoans = await Loan.countDocuments({ patron: patron._id, status: 'active' });
+  if (activeLoans >= circulation.maxActiveLoans) {
+    throw new BadRequestError(`Patron has reached the limit of ${circulation.maxActiveLoans} active loans`);
+  }
+
+  // Claim a specific copy by barcode, the copy held for this patron, or any
+  // available copy of the book. The status condition in each update makes
+  // the claim atomic under concurrent checkouts.
+  let item;
+  let hold = null;
+  if (barcode) {
+    const existing = await Item.findOne({ barcode: barcode.toUpperCase() });
+    if (!existing) {
+      throw new NotFoundError('Item not found');
+    }
+    // Copies of a book in the trash stay on record but don't circulate
+    const bookActive = await Book.exists({ _id: existing.book });
+    if (!bookActive) {
+      throw new BadRequestError(`Item ${existing.barcode} belongs to a book in the trash`, 'BOOK_IN_TRASH');
+    }
+    if (existing.status === 'on_hold') {
+      hold = await Hold.findOne({ item: existing._id, status: 'ready' });
+      if (!hold || String(hold.patron) !== String(patron._id)) {
+        throw new BadRequestError(`Item ${existing.barcode} is reserved for another patron's hold`);
+      }
+    }
+    item = await Item.findOneAndUpdate(
+      { _id: existing._id, status: hold ? 'on_hold' : 'available' },
+      { status: 'on_loan' },
+      { new: true }
+    );
+    if (!item) {
+      throw new BadRequestError(`Item ${existing.barcode} is not available (status: ${existing.status})`);
+    }
+  } else {
+    // Books in the trash don't count, so their copies can't be lent
+    const bookExists = await Book.exists({ _id: bookId });
+    if (!bookExists) {
+      throw new NotFoundError('Book not found');
+    }
+    hold = await Hold.findOne({ book: bookId, patron: patron._id, status: 'ready' });
+    item = await Item.findOneAndUpdate(
+      hold ? { _id: hold.item, status: 'on_hold' } : { book: bookId, status: 'available' },
+      { status: 'on_loan' },
+      { new: true, sort: { acquisitionDate: 1 } }
+    );
+    if (!item) {
+      throw new BadRequestError('No copies of this book are available');
+    }
+  }
+
+  const checkedOutAt = new Date();
+  let loan;
+  try {
+    loan = await Loan.create({
+      book: item.book,
+      item: item._id,
+      patron: patron._id,
+      checkedOutAt: checkedOutAt,
+      dueDate: new Date(checkedOutAt.getTime() + getLoanPeriodDays(patron) * DAY_MS)
+    });
+  } catch (error) {
+    // Release the copy again if the loan could not be recorded
+    await Item.updateOne({ _id: item._id, status: 'on_loan' }, { status: hold ? 'on_hold' : 'available' });
+    if (error.code === 11000) {
+      throw new ConflictError('Item is already on loan', 'ITEM_ON_LOAN');
+    }
+    throw error;
+  }
+
+  if (hold) {
+    await Hold.updateOne({ _id: hold._id }, { status: 'fulfilled', closedAt: checkedOutAt });
+  }
+
+  await Item.syncBookAvailability(item.book);
+
+  res.status(201).json({
+    success: true,
+    data: loan,
+    message: `Item ${item.barcode} checked out successfully`
+  });
+};
+
+// @desc    Return a loaned book
+// @route   POST /api/loans/:id/return
+// @access  Private (admin, librarian)
+exports.returnBook = async (req, res) => {
+  const loan = await Loan.findOneAndUpdate(
+    { _id: req.params.id, status: 'active' },
+    { status: 'returned', returnedAt: new Date() },
+    { new: true, runValidators: true }
+  );
+
+  if (!loan) {
+    const exists = await Loan.exists({ _id: req.params.id });
+    if (!exists) {
+      throw new NotFoundError('Loan not found');
+    }
+    throw new BadRequestError('Loan has already been returned');
+  }
+
+  // The returned copy goes to the next hold in the queue, or back on the shelf
+  const item = await Item.findOne({ _id: loan.item, status: 'on_loan' });
+  const hold = item ? await Hold.releaseItem(item) : null;
+
+  const fine = loan.calculateOverdueFine();
+  if (fine > 0) {
+    await LedgerEntry.create({
+      patron: loan.patron,
+      loan: loan._id,
+      type: 'overdue_fine',
+      amount: fine,
+      description: `Returned ${loan.daysOverdue} day(s) late`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: loan,
+    message: loan.daysOverdue > 0
+      ? `Book returned ${loan.daysOverdue} day(s) late`
+      : 'Book returned successfully',
+    fine: fine,
+    holdReady: hold ? hold._id : null
+  });
+};
+
+// @desc    Renew a loan
+// @route   POST /api/loans/:id/renew
+// @access  Private (admin, librarian; patrons for their own records)
+exports.renewLoan = async (req, res) => {
+  const loan = await Loan.findById(req.params.id).populate('patron');
+
+  if (!loan) {
+    throw new NotFoundError('Loan not found');
+  }
+
+  if (!canActForPatron(req.user, loan.populated('patron'))) {
+    throw new ForbiddenError('You can only renew your own loans', 'NOT_OWN_RECORD');
+  }
+
+  if (loan.status !== 'active') {
+    throw new BadRequestError('Only active loans can be renewed');
+  }
+
+  if (loan.renewalCount >= circulation.maxRenewals) {
+    throw new BadRequestError(`Loan has already been renewed the maximum of ${circulation.maxRenewals} times`);
+  }
+
+  // Moving the due date of an overdue loan would wipe out the fine it has
+  // accrued, which is only charged on return
+  if (loan.isOverdue) {
+    throw new BadRequestError(`Loan is ${loan.daysOverdue} day(s) overdue and cannot be renewed; return the book instead`);
+  }
+
+  if (!loan.patron) {
+    throw new NotFoundError('Patron not found');
+  }
+
+  await assertCanBorrow(loan.patron);
+
+  const pendingHolds = await Hold.countDocuments({ book: loan.book, status: 'pending' });
+  if (pendingHolds > 0) {
+    throw new BadRequestError(`Loan cannot be renewed while ${pendingHolds} patron(s) are waiting for this book`);
+  }
+
+  loan.dueDate = new Date(loan.dueDate.getTime() + getLoanPeriodDays(loan.patron) * DAY_MS);
+  loan.renewalCount += 1;
+  await loan.save();
+
+  res.json({
+    success: true,
+    data: loan,
+    message: `Loan renewed until ${loan.dueDate.toISOString().slice(0, 10)}`
+  });
+};
+
+// @desc    Declare a loaned copy lost and charge the patron for it
+// @route   POST /api/loans/:id/lost
+// @access  Private (admin, librarian)
+exports.declareLost = async (req, res) => {
+  const loan = await Loan.findOneAndUpdate(
+    { _id: req.params.id, status: 'active' },
+    { status: 'lost', lostAt: new Date() },
+    { new: true, runValidators: true }
+  ).populate('book', 'title price');
+
+  if (!loan) {
+    const exists = await Loan.exists({ _id: req.params.id });
+    if (!exists) {
+      throw new NotFoundError('Loan not found');
+    }
+    throw new BadRequestError('Only active loans can be declared lost');
+  }
+
+  await Item.updateOne({ _id: loan.item }, { status: 'lost' });
+  await Item.syncBookAvailability(loan.book._id);
+
+  // Replacement cost comes from the book price, with a configured fallback
+  const replacementCost = loan.book.price || circulation.fines.defaultReplacementCost;
+  const charges = [{
+    patron: loan.patron,
+    loan: loan._id,
+    type: 'lost_item',
+    amount: replacementCost,
+    description: `Replacement cost for lost copy of "${loan.book.title}"`
+  }];
+
+  const fine = loan.calculateOverdueFine();
+  if (fine > 0) {
+    charges.push({
+      patron: loan.patron,
+      loan: loan._id,
+      type: 'overdue_fine',
+      amount: fine,
+      description: `Overdue ${loan.daysOverdue} day(s) before being declared lost`
+    });
+  }
+
+  const entries = await LedgerEntry.create(charges);
+
+  res.json({
+    success: true,
+    data: {
+      loan: loan,
+      charges: entries
+    },
+    message: 'Item declared lost'
+  });
+};
@@ -0,0 +1,238 @@
+const path = require('path');
+const Book = require('../models/Book.js');
+const Author = require('../models/Author.js');
+const marc = require('../utils/marc.js');
+const { escapeRegex } = require('../utils/search.js');
+const { responseWriter } = require('../utils/export.js');
+const { failureErrors, validationErrors } = require('../utils/importErrors.js');
+const { displayName, headingName } = require('../utils/authorNames.js');
+const { BadRequestError, NotFoundError } = require('../utils/errors.js');
+
+// Response headers for each download format
+const FORMATS = {
+  marc: { contentType: 'application/marc', extension: 'mrc' },
+  marcxml: { contentType: 'application/marcxml+xml; charset=utf-8', extension: 'xml' }
+};
+
+// Work out the upload format from the explicit field, the file extension or
+// the content itself (MARCXML starts with "<", ISO 2709 with a length)
+const detectFormat = (file, requested) => {
+  if (requested) return FORMATS[requested.toLowerCase()] ? requested.toLowerCase() : null;
+
+  const extension = path.extname(file.originalname || '').slice(1).toLowerCase();
+  if (extension === 'xml') return 'marcxml';
+  if (['mrc', 'marc'].includes(extension)) return 'marc';
+
+  const start = file.buffer.subarray(0, 64).toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  return start.startsWith('<') ? 'marcxml' : 'marc';
+};
+
+// 100 $a is usually "Surname, Forenames"; our authors are stored as
+// "Forenames Surname", so try both forms
+const findAuthor = async (name) => {
+  const names = [name];
+  const inverted = name.match(/^([^,]+),\s*(.+)$/);
+  if (inverted) names.push(`${inverted[2]} ${inverted[1]}`);
+
+  return Author.findOne({
+    $or: names.map(candidate => ({ name: { $regex: `^${escapeRegex(candidate)}$`, $options: 'i' } }))
+  });
+};
+
+// Use the heading from the original record when it still names this author
+const authorHeading = (book) => {
+  if (!book.author || !book.author.name) return undefined;
+  const original = book.marc && Array.isArray(book.marc.fields)
+    ? marc.recordToBook(book.marc).authorName
+    : undefined;
+  return original && displayName(original).toLowerCase() === book.author.name.toLowerCase()
+    ? original
+    : headingName(book.author.name);
+};
+
+const serialize = (record, format) => (format === 'marcxml'
+  ? marc.serializeMarcXmlRecord(record)
+  : marc.serializeIso2709(record));
+
+// @desc    Import books (and their authors) from MARC21 or MARCXML records
+// @route   POST /api/marc/import
+// @access  Private (admin, librarian)
+exports.importRecords = async (req, res) => {
+  if (!req.file) {
+    throw new BadRequestError('A MARC or MARCXML file is required in the "file" field');
+  }
+
+  const format = detectFormat(req.file, req.body.format);
+  if (!format) {
+    throw new BadRequestError('Format must be marc or marcxml');
+  }
+
+  let records;
+  try {
+    records = format === 'marcxml'
+      ? marc.parseMarcXml(req.file.buffer.toString('utf8'))
+      : marc.parseIso2709(req.file.buffer);
+  } catch (error) {
+    throw new BadRequestError(`Could not parse ${format === 'marcxml' ? 'MARCXML' : 'MARC'} file: ${error.message}`, 'UNPARSEABLE_FILE');
+  }
+
+  const dryRun = String(req.body.dryRun ?? req.query.dryRun) === 'true';
+  const summary = { booksCreated: 0, booksUpdated: 0, authorsCreated: 0, failedRecords: 0 };
+  const report = [];
+  // Authors by display name, including the ones this run creates. A new
+  // author is only saved (and counted) along with the first book that
+  // imports cleanly, so failed records don't leave authors behind.
+  const authorCache = new Map();
+  const newAuthors = new Set();
+
+  for (let index = 0; index < records.length; index++) {
+    const record = records[index];
+    const { book, authorName } = marc.recordToBook(record);
+    const entry = `record ${index + 1}`;
+    const errors = [];
+    let action = null;
+
+    try {
+      let authorDoc = null;
+      if (!authorName) {
+        errors.push({ field: 'author', message: 'Record has no 100 $a main entry' });
+      } else {
+        const key = displayName(authorName).toLowerCase();
+        authorDoc = authorCache.get(key) || await findAuthor(authorName);
+        if (!authorDoc) {
+          authorDoc = new Author({ name: displayName(authorName) });
+          try {
+            await authorDoc.validate();
+            newAuthors.add(authorDoc);
+          } catch (error) {
+            errors.push(...validationErrors(entry, error, 'author.'));
+            authorDoc = null;
+          }
+        }
+        if (authorDoc) authorCache.set(key, authorDoc);
+      }
+
+      // Upsert by ISBN and keep the full record for lossless export
+      const existing = book.isbn ? await Book.findByIsbn(book.isbn) : null;
+      const bookDoc = existing || new Book();
+      bookDoc.set(book);
+      bookDoc.marc = { leader: record.leader, fields: record.fields };
+      if (authorDoc) bookDoc.author = authorDoc._id;
+      action = existing ? 'update' : 'create';
+
+      try {
+        await bookDoc.validate();
+      } catch (error) {
+        // A missing author is already reported above
+        errors.push(...validationErrors(entry, error).filter(e => !(e.field === 'author' && !authorName)));
+      }
+
+      if (errors.length === 0) {
+        if (newAuthors.has(authorDoc)) {
+          if (!dryRun) await authorDoc.save();
+          newAuthors.delete(authorDoc);
+          summary.authorsCreated += 1;
+        }
+        if (!dryRun) await bookDoc.save();
+      }
+    } catch (error) {
+      errors.push(...failureErrors(entry, error));
+    }
+
+    if (errors.length > 0) {
+      summary.failedRecords += 1;
+      action = 'error';
+    } else if (action === 'create') {
+      summary.booksCreated += 1;
+    } else {
+      summary.booksUpdated += 1;
+    }
+
+    report.push({ record: index + 1, action, isbn: book.isbn, title: book.title, errors });
+  }
+
+  const imported = records.length - summary.failedRecords;
+
+  res.status(dryRun ? 200 : 201).json({
+    success: true,
+    data: {
+      format: format,
+      dryRun: dryRun,
+      summary: summary,
+      records: report
+    },
+    message: dryRun
+      ? `Dry run: ${imported} of ${records.length} records are valid`
+      : `Imported ${imported} of ${records.length} records`
+  });
+};
+
+// @desc    Download a single book as a MARC21 or MARCXML record
+// @route   GET /api/marc/books/:id
+// @access  Public
+exports.exportRecord = async (req, res) => {
+  const { format } = req.query;
+
+  const book = await Book.findById(req.params.id)
+    .select('+marc')
+    .populate('author', 'name')
+    .lean();
+
+  if (!book) {
+    throw new NotFoundError('Book not found');
+  }
+
+  const record = marc.bookToRecord(book, authorHeading(book));
+  const body = format === 'marcxml'
+    ? marc.MARCXML_HEADER + serialize(record, format) + marc.MARCXML_FOOTER
+    : serialize(record, format);
+
+  res.setHeader('Content-Type', FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="book-${book._id}.${FORMATS[format].extension}"`);
+  res.send(body);
+};
+
+// @desc    Download a batch of books (or the whole catalogue) as MARC21 or MARCXML
+// @route   GET /api/marc/books
+// @access  Public
+exports.exportRecords = async (req, res) => {
+  const { format, ids } = req.query;
+
+  // The IDs were checked by the validator: once the header is out, an
+  // error can only cut the file short, not change the status
+  const query = {};
+  if (ids) {
+    query._id = { $in: ids };
+  }
+
+  const cursor = Book.find(query)
+    .select('+marc')
+    .populate('author', 'name')
+    .sort({ _id: 1 })
+    .lean()
+    .cursor({ batchSize: 200 });
+
+  res.setHeader('Content-Type', FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="books-${new Date().toISOString().slice(0, 10)}.${FORMATS[format].extension}"`);
+
+  const write = responseWriter(res);
+
+  let aborted = false;
+  res.on('close', () => { aborted = !res.writableFinished; });
+
+  try {
+    if (format === 'marcxml') await write(marc.MARCXML_HEADER);
+
+    for await (const book of cursor) {
+      if (aborted || res.destroyed) break;
+      await write(serialize(marc.bookToRecord(book, authorHeading(book)), format));
+    }
+
+    if (!aborted && !res.destroyed) {
+      if (format === 'marcxml') await write(marc.MARCXML_FOOTER);
+      res.end();
+    }
+  } finally {
+    await cursor.close();
+  }
+};
@@ -0,0 +1,224 @@
+const Patron = require('../models/Patron.js');
+const Loan = require('../models/Loan.js');
+const Hold = require('../models/Hold.js');
+const LedgerEntry = require('../models/LedgerEntry.js');
+const { BadRequestError, ConflictError, NotFoundError } = require('../utils/errors.js');
+const { paginate } = require('../utils/pagination.js');
+
+// Escape user input before using it inside a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @desc    Get all patrons
+// @route   GET /api/patrons
+// @access  Private (admin, librarian)
+exports.getAllPatrons = async (req, res) => {
+  const { status, membershipType } = req.query;
+
+  const query = {};
+
+  // Filter by status
+  if (status) query.status = status;
+
+  // Filter by membership type
+  if (membershipType) query.membershipType = membershipType;
+
+  const { docs: patrons, meta } = await paginate(Patron, query, req.query);
+
+  res.json({
+    success: true,
+    data: patrons,
+    ...meta
+  });
+};
+
+// @desc    Search patrons by name, email, phone or card number
+// @route   GET /api/patrons/search
+// @access  Private (admin, librarian)
+exports.searchPatrons = async (req, res) => {
+  const { query, status, limit } = req.query;
+
+  const pattern = { $regex: escapeRegex(query), $options: 'i' };
+  const searchQuery = {
+    $or: [
+      { firstName: pattern },
+      { lastName: pattern },
+      { email: pattern },
+      { phone: pattern },
+      { cardNumber: pattern }
+    ]
+  };
+
+  if (status) {
+    searchQuery.status = status;
+  }
+
+  const patrons = await Patron.find(searchQuery)
+    .limit(limit)
+    .sort({ lastName: 1, firstName: 1 });
+
+  res.json({
+    success: true,
+    data: patrons,
+    count: patrons.length
+  });
+};
+
+// @desc    Get patron by library card number
+// @route   GET /api/patrons/card/:cardNumber
+// @access  Private (admin, librarian)
+exports.getPatronByCardNumber = async (req, res) => {
+  const patron = await Patron.findOne({ cardNumber: req.params.cardNumber.toUpperCase() });
+
+  if (!patron) {
+    throw new NotFoundError('Patron not found');
+  }
+
+  res.json({
+    success: true,
+    data: patron
+  });
+};
+
+// @desc    Get single patron by ID
+// @route   GET /api/patrons/:id
+// @access  Private (admin, librarian; patrons for their own records)
+exports.getPatronById = async (req, res) => {
+  const patron = await Patron.findById(req.params.id);
+
+  if (!patron) {
+    throw new NotFoundError('Patron not found');
+  }
+
+  res.json({
+    success: true,
+    data: patron
+  });
+};
+
+// @desc    Create new patron
+// @route   POST /api/patrons
+// @access  Private (admin, librarian)
+exports.createPatron = async (req, res) => {
+  const patron = await Patron.create(req.body);
+
+  res.status(201).json({
+    success: true,
+    data: patron,
+    message: 'Patron created successfully'
+  });
+};
+
+// @desc    Update patron
+// @route   PUT /api/patrons/:id
+// @access  Private (admin, librarian)
+exports.updatePatron = async (req, res) => {
+  const patron = await Patron.findByIdAndUpdate(
+    req.params.id,
+    req.body,
+    {
+      new: true,
+      runValidators: true
+    }
+  );
+
+  if (!patron) {
+    throw new NotFoundError('Patron not found');
+  }
+
+  res.json({
+    success: true,
+    data: patron,
+    message: 'Patron updated successfully'
+  });
+};
+
+// @desc    Update patron status
+// @route   PATCH /api/patrons/:id/status
+// @access  Private (admin, librarian)
+exports.updatePatronStatus = async (req, res) => {
+  const { status } = req.body;
+
+  if (!['active', 'suspended', 'expired'].includes(status)) {
+    throw new BadRequestError('Status must be one of active, suspended or expired');
+  }
+
+  const patron = await Patron.findByIdAndUpdate(
+    req.params.id,
+    { status },
+    { new: true, runValidators: true }
+  );
+
+  if (!patron) {
+    throw new NotFoundError('Patron not found');
+  }
+
+  res.json({
+    success: true,
+    data: patron,
+    message: `Patron status updated to ${status}`
+  });
+};
+
+// @desc    Renew patron membership
+// @route   PATCH /api/patrons/:id/renew
+// @access  Private (admin, librarian)
+exports.renewMembership = async (req, res) => {
+  const { months = 12 } = req.body;
+
+  const patron = await Patron.findById(req.params.id);
+
+  if (!patron) {
+    throw new NotFoundError('Patron not found');
+  }
+
+  // Extend from the current expiry, or from today if it has already lapsed
+  const now = new Date();
+  const base = patron.membershipExpiry && patron.membershipExpiry > now ? patron.membershipExpiry : now;
+  const expiry = new Date(base);
+  expiry.setMonth(expiry.getMonth() + months);
+
+  patron.membershipExpiry = expiry;
+  if (patron.status === 'expired') patron.status = 'active';
+  await patron.save();
+
+  res.json({
+    success: true,
+    data: patron,
+    message: 'Membership renewed successfully'
+  });
+};
+
+// @desc    Delete patron
+// @route   DELETE /api/patrons/:id
+// @access  Private (admin)
+exports.deletePatron = async (req, res) => {
+  const patron = await Patron.findById(req.params.id);
+
+  if (!patron) {
+    throw new NotFoundError('Patron not found');
+  }
+
+  // Loans, holds and ledger entries point at the patron, so one with books
+  // out, holds open or money owed has to be settled first
+  const blockers = {
+    activeLoans: await Loan.countDocuments({ patron: patron._id, status: 'active' }),
+    openHolds: await Hold.countDocuments({ patron: patron._id, status: { $in: ['pending', 'ready'] } }),
+    balance: await LedgerEntry.getBalance(patron._id)
+  };
+
+  if (blockers.activeLoans > 0 || blockers.openHolds > 0 || blockers.balance > 0) {
+    throw new ConflictError(
+      `Cannot delete a patron with ${blockers.activeLoans} active loans, ${blockers.openHolds} open holds and a balance of ${blockers.balance.toFixed(2)}`,
+      'PATRON_HAS_DEPENDENCIES',
+      blockers
+    );
+  }
+
+  await patron.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Patron deleted successfully',
+    data: patron
+  });
+};
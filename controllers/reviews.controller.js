@@ -0,0 +1,176 @@
+const Review = require('../models/Review.js');
+const Book = require('../models/Book.js');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../utils/errors.js');
+const { paginate } = require('../utils/pagination.js');
+
+const isStaff = (user) => user && ['admin', 'librarian'].includes(user.role);
+
+// @desc    Get reviews across all books (moderation queue)
+// @route   GET /api/reviews
+// @access  Private (admin, librarian)
+exports.getAllReviews = async (req, res) => {
+  const { status, book, reviewer } = req.query;
+
+  const query = {};
+
+  // Filter by moderation status
+  if (status) query.status = status;
+
+  // Filter by book or reviewer
+  if (book) query.book = book;
+  if (reviewer) query.reviewer = reviewer;
+
+  const { docs: reviews, meta } = await paginate(
+    Review,
+    query,
+    { ...req.query, sort: { createdAt: -1 } },
+    find => find.populate('book', 'title').populate('reviewer', 'name')
+  );
+
+  res.json({
+    success: true,
+    data: reviews,
+    ...meta
+  });
+};
+
+// @desc    Get approved reviews for a book
+// @route   GET /api/reviews/book/:bookId
+// @access  Public
+exports.getBookReviews = async (req, res) => {
+  const book = await Book.findById(req.params.bookId).select('title rating ratingCount');
+
+  if (!book) {
+    throw new NotFoundError('Book not found');
+  }
+
+  const { docs: reviews, meta } = await paginate(
+    Review,
+    { book: book._id, status: 'approved' },
+    req.query,
+    find => find.populate('reviewer', 'name')
+  );
+
+  res.json({
+    success: true,
+    data: {
+      book: book,
+      reviews: reviews
+    },
+    ...meta
+  });
+};
+
+// @desc    Create a review
+// @route   POST /api/reviews
+// @access  Private (any signed-in user)
+exports.createReview = async (req, res) => {
+  const { bookId, rating, title, text } = req.body;
+
+  const bookExists = await Book.exists({ _id: bookId });
+  if (!bookExists) {
+    throw new NotFoundError('Book not found');
+  }
+
+  const alreadyReviewed = await Review.exists({ book: bookId, reviewer: req.user._id });
+  if (alreadyReviewed) {
+    throw new ConflictError('You have already reviewed this book; update your existing review instead', 'ALREADY_REVIEWED');
+  }
+
+  const review = await Review.create({
+    book: bookId,
+    reviewer: req.user._id,
+    rating,
+    title,
+    text
+  });
+
+  await Review.recomputeBookRating(review.book);
+
+  res.status(201).json({
+    success: true,
+    data: review,
+    message: 'Review created successfully'
+  });
+};
+
+// @desc    Update own review
+// @route   PUT /api/reviews/:id
+// @access  Private (review author)
+exports.updateReview = async (req, res) => {
+  const review = await Review.findById(req.params.id);
+
+  if (!review) {
+    throw new NotFoundError('Review not found');
+  }
+
+  if (String(review.reviewer) !== String(req.user._id)) {
+    throw new ForbiddenError('You can only edit your own reviews');
+  }
+
+  const { rating, title, text } = req.body;
+  if (rating !== undefined) review.rating = rating;
+  if (title !== undefined) review.title = title;
+  if (text !== undefined) review.text = text;
+  await review.save();
+
+  await Review.recomputeBookRating(review.book);
+
+  res.json({
+    success: true,
+    data: review,
+    message: 'Review updated successfully'
+  });
+};
+
+// @desc    Approve or reject a review
+// @route   PATCH /api/reviews/:id/moderate
+// @access  Private (admin, librarian)
+exports.moderateReview = async (req, res) => {
+  const { status, moderationNote } = req.body;
+
+  if (!['approved', 'pending', 'rejected'].includes(status)) {
+    throw new BadRequestError('Status must be one of approved, pending or rejected');
+  }
+
+  const review = await Review.findByIdAndUpdate(
+    req.params.id,
+    { status, moderationNote, moderatedBy: req.user._id },
+    { new: true, runValidators: true }
+  );
+
+  if (!review) {
+    throw new NotFoundError('Review not found');
+  }
+
+  await Review.recomputeBookRating(review.book);
+
+  res.json({
+    success: true,
+    data: review,
+    message: `Review ${status}`
+  });
+};
+
+// @desc    Delete a review
+// @route   DELETE /api/reviews/:id
+// @access  Private (review author, admin, librarian)
+exports.deleteReview = async (req, res) => {
+  const review = await Review.findById(req.params.id);
+
+  if (!review) {
+    throw new NotFoundError('Review not found');
+  }
+
+  if (String(review.reviewer) !== String(req.user._id) && !isStaff(req.user)) {
+    throw new ForbiddenError('You can only delete your own reviews');
+  }
+
+  await Review.findByIdAndDelete(review._id);
+  await Review.recomputeBookRating(review.book);
+
+  res.json({
+    success: true,
+    message: 'Review deleted successfully'
+  });
+};
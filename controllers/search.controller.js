@@ -0,0 +1,93 @@
+const Book = require('../models/Book');
+const Author = require('../models/Author');
+const Category = require('../models/Category');
+
+// What each result type searches and returns. label is the field shown as
+// an autocomplete suggestion.
+const SEARCH_TYPES = {
+  books: {
+    type: 'book',
+    model: Book,
+    label: 'title',
+    project: ['title', 'description', 'author', 'isbn', 'genre', 'publishedDate', 'rating'],
+    populate: { path: 'author', select: 'name' }
+  },
+  authors: {
+    type: 'author',
+    model: Author,
+    label: 'name',
+    project: ['name', 'biography', 'nationality', 'birthDate']
+  },
+  categories: {
+    type: 'category',
+    model: Category,
+    label: 'name',
+    filter: { isActive: true },
+    project: ['name', 'description', 'slug']
+  }
+};
+
+// Search every requested type and merge the results by score
+const searchAll = async (q, types, options) => {
+  const resultsByType = await Promise.all(types.map(async (name) => {
+    const config = SEARCH_TYPES[name];
+    const matches = await config.model.search(q, {
+      ...options,
+      filter: config.filter,
+      project: options.autocomplete ? [config.label] : config.project
+    });
+
+    if (config.populate && !options.autocomplete) {
+      await config.model.populate(matches.map(match => match.doc), config.populate);
+    }
+
+    return matches.map(match => ({ ...match, config }));
+  }));
+
+  return resultsByType
+    .flat()
+    .sort((a, b) => b.score - a.score)
+    .slice(0, options.limit);
+};
+
+// @desc    Search books, authors and categories together, best match first
+// @route   GET /api/search
+// @access  Public
+exports.search = async (req, res) => {
+  const { q, types, limit } = req.query;
+  
+  const results = await searchAll(q, types, { limit });
+  
+  res.json({
+    success: true,
+    data: results.map(({ doc, score, highlights, config }) => ({
+      type: config.type,
+      id: doc._id,
+      score,
+      highlights,
+      document: doc
+    })),
+    count: results.length
+  });
+};
+
+// @desc    Suggestions for a search box; the last word may be incomplete
+// @route   GET /api/search/autocomplete
+// @access  Public
+exports.autocomplete = async (req, res) => {
+  const { q, types, limit } = req.query;
+  
+  const results = await searchAll(q, types, { limit, autocomplete: true });
+  
+  res.json({
+    success: true,
+    data: results.map(({ doc, score, highlights, config }) => ({
+      type: config.type,
+      id: doc._id,
+      text: doc[config.label],
+      highlight: highlights[config.label] || null,
+      score
+    })),
+    count: results.length
+  });
+};
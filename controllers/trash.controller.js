@@ -0,0 +1,62 @@
+const { paginate } = require('../utils/pagination.js');
+const { TRASH_TYPES, purgeDate, restoreFromTrash, purgeFromTrash, purgeExpired } = require('../utils/trash.js');
+
+// @desc    List deleted books, authors or categories, most recently deleted first
+// @route   GET /api/trash
+// @access  Private (admin, librarian)
+exports.getTrash = async (req, res) => {
+  const { type } = req.query;
+  const { model, fields } = TRASH_TYPES[type];
+
+  const { docs, meta } = await paginate(
+    model,
+    { deletedAt: { $ne: null } },
+    { ...req.query, sort: { deletedAt: -1 } },
+    find => find.select(`${fields} deletedAt deletedBy`).populate('deletedBy', 'name email')
+  );
+
+  res.json({
+    success: true,
+    type,
+    data: docs.map(doc => ({ ...doc.toObject(), purgeAt: purgeDate(doc.deletedAt) })),
+    ...meta
+  });
+};
+
+// @desc    Restore a deleted book, author or category
+// @route   POST /api/trash/:type/:id/restore
+// @access  Private (admin, librarian)
+exports.restoreItem = async (req, res) => {
+  const { doc, ...restored } = await restoreFromTrash(req.params.type, req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Restored from the trash',
+    data: { ...doc.toObject(), ...restored }
+  });
+};
+
+// @desc    Permanently delete a book, author or category in the trash
+// @route   DELETE /api/trash/:type/:id
+// @access  Private (admin)
+exports.purgeItem = async (req, res) => {
+  const { doc, deleted } = await purgeFromTrash(req.params.type, req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Permanently deleted',
+    data: { _id: doc._id, deleted }
+  });
+};
+
+// @desc    Permanently delete everything past the retention period
+// @route   POST /api/trash/purge
+// @access  Private (admin)
+exports.purgeTrash = async (req, res) => {
+  const summary = await purgeExpired();
+
+  res.json({
+    success: true,
+    data: summary
+  });
+};
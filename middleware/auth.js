@@ -0,0 +1,75 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User.js');
+const authConfig = require('../config/auth.js');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors.js');
+
+// Attach the user from a Bearer access token to req.user. Requests without a
+// token continue as anonymous (req.user = null); a bad token is rejected.
+exports.authenticate = async (req, res, next) => {
+  const header = req.headers.authorization;
+
+  if (!header || !header.startsWith('Bearer ')) {
+    req.user = null;
+    return next();
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(header.slice(7), authConfig.jwtSecret);
+  } catch (error) {
+    throw error.name === 'TokenExpiredError'
+      ? new UnauthorizedError('Access token has expired', 'TOKEN_EXPIRED')
+      : new UnauthorizedError('Invalid access token', 'INVALID_TOKEN');
+  }
+
+  const user = await User.findById(payload.sub);
+
+  if (!user || !user.isActive) {
+    throw new UnauthorizedError('User no longer exists or is disabled', 'USER_DISABLED');
+  }
+
+  req.user = user;
+  next();
+};
+
+// Allow the request only for the given roles. "anonymous" stands for callers
+// without a token, so authorize('anonymous', 'patron') means "not staff".
+exports.authorize = (...roles) => (req, res, next) => {
+  const role = req.user ? req.user.role : 'anonymous';
+
+  if (roles.includes(role)) {
+    return next();
+  }
+
+  if (!req.user) {
+    throw new UnauthorizedError('Authentication required', 'AUTHENTICATION_REQUIRED');
+  }
+
+  throw new ForbiddenError(`Role ${role} is not allowed to perform this action`, 'INSUFFICIENT_ROLE');
+};
+
+const STAFF_ROLES = ['admin', 'librarian'];
+
+// Whether user may act for the library account patronId: staff for anyone,
+// patron users only for the account their login is linked to
+const canActForPatron = (user, patronId) => {
+  if (!user) return false;
+  if (STAFF_ROLES.includes(user.role)) return true;
+  return Boolean(user.patron && patronId) && String(user.patron) === String(patronId);
+};
+
+exports.canActForPatron = canActForPatron;
+
+// Allow staff, and patron users for their own records. getPatronId(req)
+// reads the patron the request is about, such as a route parameter.
+exports.authorizePatron = (getPatronId) => (req, res, next) => {
+  if (!req.user) {
+    throw new UnauthorizedError('Authentication required', 'AUTHENTICATION_REQUIRED');
+  }
+
+  if (canActForPatron(req.user, getPatronId(req))) {
+    return next();
+  }
+
+  throw new ForbiddenError('You can only access your own patron records', 'NOT_OWN_RECORD');
+};
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const httpConfig = require('../config/http.js');
+const { entityTag } = require('../utils/preconditions.js');
+
+// Conditional GET for catalog reads. Before the handler runs, these
+// middlewares work out cheap validators for the response, set ETag,
+// Last-Modified and Cache-Control, and answer If-None-Match /
+// If-Modified-Since with 304 without running the handler when the client's
+// copy is still current. Place them after validate() so bad requests still
+// get their 400.
+//
+//   router.get('/', validate(...), cacheCollection('books', ['Book', 'Author']), handler)
+//   router.get('/:id', validate(...), cacheDocument('book', 'Book'), handler)
+//
+// The policy name picks the max-age from config/http.js.
+
+// When the most recently changed document matching filter was changed.
+// Reads the collection directly so documents in the trash count too.
+const lastChange = async (modelName, filter = {}) => {
+  const [doc] = await mongoose.model(modelName).collection
+    .find(filter, { projection: { updatedAt: 1 }, sort: { updatedAt: -1 }, limit: 1 })
+    .toArray();
+  return doc && doc.updatedAt ? doc.updatedAt : null;
+};
+
+const latest = (dates) => dates.filter(Boolean).reduce((max, date) => (date > max ? date : max), null);
+
+const setCacheControl = (res, policy) => {
+  const maxAge = httpConfig.cacheMaxAge[policy];
+  res.set('Cache-Control', maxAge > 0 ? `public, max-age=${maxAge}` : 'no-cache');
+};
+
+// HTTP dates have whole seconds
+const notModifiedSince = (req, lastModified) => {
+  const since = Date.parse(req.get('If-Modified-Since'));
+  return !isNaN(since) && Math.floor(lastModified.getTime() / 1000) * 1000 <= since;
+};
+
+// Set the validators, then end with 304 when the request's conditions say
+// the client already has this version (req.fresh: If-None-Match when sent,
+// otherwise If-Modified-Since). With requireDate an ETag match only counts
+// if If-Modified-Since also holds.
+const respond = (req, res, next, { etag, lastModified, requireDate = false }) => {
+  res.set('ETag', etag);
+  if (lastModified) res.set('Last-Modified', lastModified.toUTCString());
+
+  if (req.fresh) {
+    if (!requireDate || notModifiedSince(req, lastModified)) return res.status(304).end();
+    // Keep Express from answering 304 on the ETag match when it sends the body
+    delete req.headers['if-none-match'];
+  }
+  next();
+};
+
+// Validators for responses built from whole collections (lists, stats). The
+// ETag covers the URL and each collection's document count and latest
+// change, so adding, changing, trashing or purging any member changes it.
+exports.cacheCollection = (policy, modelNames) => async (req, res, next) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+  const versions = [];
+  for (const modelName of modelNames) {
+    const count = await mongoose.model(modelName).collection.estimatedDocumentCount();
+    versions.push({ modelName, count, updatedAt: await lastChange(modelName) });
+  }
+
+  const hash = crypto.createHash('sha1')
+    .update(JSON.stringify([req.originalUrl, versions]))
+    .digest('base64url')
+    .slice(0, 20);
+
+  setCacheControl(res, policy);
+  respond(req, res, next, {
+    etag: `W/"${hash}"`,
+    lastModified: latest(versions.map(version => version.updatedAt))
+  });
+};
+
+// Validators for a single record. The ETag is the record's own (the one
+// If-Match expects, see utils/preconditions.js); Last-Modified also covers
+// the related documents the response embeds, given by related(doc) as
+// [modelName, filter] pairs. find(model, req) builds the query for the
+// record, by :id unless given; when it comes back empty the handler runs
+// and reports the 404 (or redirect) itself.
+exports.cacheDocument = (policy, modelName, {
+  find = (model, req) => model.findById(req.params.id),
+  related = () => []
+} = {}) => async (req, res, next) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+  const doc = await find(mongoose.model(modelName), req).lean();
+  if (!doc) return next();
+
+  const changes = [doc.updatedAt];
+  for (const [modelName, filter] of related(doc)) {
+    changes.push(await lastChange(modelName, filter));
+  }
+
+  // The ETag only follows the record, so once something it embeds has
+  // changed since, a matching If-None-Match alone can't prove the client's
+  // copy current; If-Modified-Since has to as well
+  const lastModified = latest(changes);
+
+  setCacheControl(res, policy);
+  respond(req, res, next, {
+    etag: entityTag(doc),
+    lastModified,
+    requireDate: lastModified > doc.updatedAt
+  });
+};
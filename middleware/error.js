@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const {
+  AppError,
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+  ValidationError
+} = require('../utils/errors.js');
+
+// Map errors from mongoose, MongoDB and body parsing onto AppErrors. Anything
+// unrecognised becomes a 500 whose message is not passed to the client.
+const normalizeError = (error) => {
+  if (error instanceof AppError) return error;
+
+  if (error instanceof mongoose.Error.CastError) {
+    return error.kind === 'ObjectId'
+      ? new BadRequestError(`Invalid ${error.path}: ${JSON.stringify(error.value)} is not a valid ID`, 'INVALID_ID')
+      : new BadRequestError(`Invalid ${error.path}: ${JSON.stringify(error.value)}`, 'INVALID_VALUE');
+  }
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    return new ValidationError(
+      'Validation failed',
+      Object.values(error.errors).map(fieldError => ({
+        field: fieldError.path,
+        message: fieldError.message
+      }))
+    );
+  }
+
+  if (error.code === 11000) {
+    const field = Object.keys(error.keyValue || error.keyPattern || {})[0];
+    return new ConflictError(
+      field ? `A record with this ${field} already exists` : 'A record with these values already exists',
+      'DUPLICATE_KEY',
+      field ? [{ field, value: error.keyValue ? error.keyValue[field] : undefined }] : undefined
+    );
+  }
+
+  // Malformed JSON bodies and other client errors raised by body-parser
+  if (error.type === 'entity.parse.failed') {
+    return new BadRequestError('Request body is not valid JSON', 'INVALID_JSON');
+  }
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return new AppError(error.message, error.status, 'BAD_REQUEST');
+  }
+
+  return new AppError('Internal server error');
+};
+
+// Catch-all for requests no route matched
+exports.notFound = (req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.originalUrl} not found`, 'ROUTE_NOT_FOUND'));
+};
+
+// Send every error as { success: false, code, message, details? }. Stack
+// traces are only included in development.
+exports.errorHandler = (err, req, res, next) => {
+  // A streamed response has already sent its status; let Express cut it off
+  if (res.headersSent) return next(err);
+
+  const error = normalizeError(err);
+
+  if (error.status >= 500) {
+    console.error(err);
+  }
+
+  const body = {
+    success: false,
+    code: error.code,
+    message: error.message
+  };
+  if (error.details !== undefined) body.details = error.details;
+  if (req.app.get('env') === 'development') body.stack = err.stack;
+
+  // Validators and cache headers set for the success response don't apply
+  ['Cache-Control', 'ETag', 'Last-Modified'].forEach(header => res.removeHeader(header));
+
+  res.status(error.status).json(body);
+};
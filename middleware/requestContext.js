@@ -0,0 +1,23 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { randomUUID } = require('crypto');
+
+// Gives every request an ID and makes the request reachable from code with
+// no req to hand, such as model middleware (see utils/audit.js).
+//
+// The ID comes from an X-Request-Id header when it looks sane, so a proxy's
+// ID can be followed through, and is echoed back in the response.
+
+const storage = new AsyncLocalStorage();
+
+const REQUEST_ID = /^[\w.:-]{1,100}$/;
+
+exports.requestContext = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID.test(incoming) ? incoming : randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  storage.run(req, next);
+};
+
+// The request being handled, or undefined outside one (startup, timers)
+exports.currentRequest = () => storage.getStore();
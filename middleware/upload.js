@@ -0,0 +1,19 @@
+const multer = require('multer');
+const importConfig = require('../config/import.js');
+const { BadRequestError } = require('../utils/errors.js');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: importConfig.maxFileSizeMb * 1024 * 1024 }
+});
+
+// Accept a single uploaded file in the given form field and answer upload
+// problems (too large, wrong field) with a 400 instead of a server error
+exports.singleFile = (field) => (req, res, next) => {
+  upload.single(field)(req, res, (error) => {
+    if (error) {
+      return next(new BadRequestError(`Failed to upload file: ${error.message}`, 'UPLOAD_FAILED'));
+    }
+    next();
+  });
+};
@@ -0,0 +1,261 @@
+const { BadRequestError } = require('../utils/errors.js');
+
+// Declarative request validation. Rules are written as OpenAPI schema
+// objects so the same definitions drive both the checks below and the
+// generated swagger docs (see documentRules). A rule set looks like:
+//
+//   {
+//     method: 'get',
+//     path: '/books/{id}',                     // OpenAPI path, for the docs
+//     params: { id: { type: 'string', pattern: '...' } },
+//     query: { page: { type: 'integer', minimum: 1, default: 1 } },
+//     required: ['search'],                    // required query parameters
+//     body: { properties: { ... }, required: ['title'] },
+//     listQuery: { filters, sortable, ... }    // list spec, see utils/query.js
+//     headers: { 'If-Match': { ... } }         // documented only; read by the controller
+//   }
+//
+// body.contentType documents a media type other than application/json.
+//
+// Query strings and bodies are coerced to the declared types, defaults are
+// filled in, and unknown fields are rejected. Body properties marked
+// readOnly (_id, createdAt, ...) are dropped silently so a client can send
+// back a document it just fetched.
+
+const coerce = (value, schema) => {
+  switch (schema.type) {
+    case 'integer':
+      if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) return Number(value);
+      return value;
+    case 'number':
+      if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+      return value;
+    case 'boolean':
+      if (value === 'true' || value === '1') return true;
+      if (value === 'false' || value === '0') return false;
+      return value;
+    case 'array':
+      return (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => coerce(typeof item === 'string' ? item.trim() : item, schema.items || {}));
+    default:
+      return value;
+  }
+};
+
+const isValidDate = (value) => !isNaN(new Date(value).getTime());
+
+// Return an error message for value, or null when it satisfies schema
+const check = (value, schema) => {
+  if (value === null) {
+    return schema.nullable ? null : 'must not be null';
+  }
+
+  switch (schema.type) {
+    case 'integer':
+      if (!Number.isInteger(value)) return 'must be an integer';
+      break;
+    case 'number':
+      if (typeof value !== 'number' || isNaN(value)) return 'must be a number';
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return 'must be true or false';
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return 'must be a list';
+      if (schema.minItems !== undefined && value.length < schema.minItems) return `must have at least ${schema.minItems} items`;
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) return `must have at most ${schema.maxItems} items`;
+      for (const item of value) {
+        const message = check(item, schema.items || {});
+        if (message) return `contains an item that ${message}`;
+      }
+      return null;
+    case 'string':
+      if (typeof value !== 'string') return 'must be a string';
+      break;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `must be one of ${schema.enum.join(', ')}`;
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) return `must be at least ${schema.minimum}`;
+  if (schema.maximum !== undefined && value > schema.maximum) return `must be at most ${schema.maximum}`;
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return `must be at least ${schema.minLength} characters long`;
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return `must be at most ${schema.maxLength} characters long`;
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return schema['x-pattern-message'] || 'has an invalid format';
+    }
+    if ((schema.format === 'date' || schema.format === 'date-time') && !isValidDate(value)) {
+      return 'must be a valid date';
+    }
+    if (schema.format === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+      return 'must be a valid email address';
+    }
+  }
+
+  return null;
+};
+
+// Validate one part of the request (params, query or body) against a map of
+// field -> schema. Returns { values, errors }.
+const validateFields = (input, fields, required, location, { strict = true, dropReadOnly = false } = {}) => {
+  const values = {};
+  const errors = [];
+
+  for (const [field, value] of Object.entries(input || {})) {
+    const schema = fields[field];
+
+    if (!schema) {
+      if (strict) errors.push({ location, field, message: `${field} is not an allowed field` });
+      continue;
+    }
+    if (schema.readOnly) {
+      if (!dropReadOnly) errors.push({ location, field, message: `${field} is read-only` });
+      continue;
+    }
+
+    const coerced = location === 'body' && typeof value !== 'string' ? value : coerce(value, schema);
+    const message = check(coerced, schema);
+    if (message) {
+      errors.push({ location, field, message: `${field} ${message}` });
+    } else {
+      values[field] = coerced;
+    }
+  }
+
+  for (const field of required || []) {
+    if (input == null || input[field] === undefined || input[field] === '') {
+      errors.push({ location, field, message: `${field} is required` });
+    }
+  }
+
+  for (const [field, schema] of Object.entries(fields)) {
+    if (values[field] === undefined && schema.default !== undefined && location === 'query') {
+      values[field] = schema.default;
+    }
+  }
+
+  return { values, errors };
+};
+
+// Middleware factory: validate and coerce the request against a rule set.
+// Rejects with a 400 INVALID_REQUEST listing every problem.
+exports.validate = (rules) => (req, res, next) => {
+  const errors = [];
+
+  if (rules.params) {
+    errors.push(...validateFields(req.params, rules.params, Object.keys(rules.params), 'params', { strict: false }).errors);
+  }
+
+  if (rules.query || rules.required) {
+    const result = validateFields(req.query, rules.query || {}, rules.required, 'query');
+    errors.push(...result.errors);
+    // req.query is a getter in Express 5, so shadow it with the coerced values
+    Object.defineProperty(req, 'query', {
+      value: result.values,
+      writable: true,
+      configurable: true,
+      enumerable: true
+    });
+  }
+
+  if (rules.body) {
+    if (req.body !== undefined && (typeof req.body !== 'object' || Array.isArray(req.body) || req.body === null)) {
+      errors.push({ location: 'body', field: null, message: 'Request body must be a JSON object' });
+    } else {
+      const result = validateFields(req.body, rules.body.properties, rules.body.required, 'body', { dropReadOnly: true });
+      errors.push(...result.errors);
+      req.body = result.values;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new BadRequestError('Invalid request', 'INVALID_REQUEST', errors);
+  }
+
+  next();
+};
+
+// Strip the validator-only keywords from a schema before it goes in the docs
+const toOpenApiSchema = (schema) => {
+  const { 'x-pattern-message': patternMessage, ...rest } = schema;
+  if (rest.items) rest.items = toOpenApiSchema(rest.items);
+  return rest;
+};
+
+// Parameters carry their description on the parameter, not the schema
+const parameterSchema = (schema) => {
+  const { description, ...rest } = toOpenApiSchema(schema);
+  return rest;
+};
+
+// Fill in the parameters and request bodies of the swagger spec from rule
+// sets, so the docs always describe exactly what validate() accepts.
+exports.documentRules = (spec, ...ruleSets) => {
+  for (const ruleSet of ruleSets) {
+    for (const rules of Object.values(ruleSet)) {
+      if (!rules.method || !rules.path) continue;
+
+      const pathItem = spec.paths[rules.path] = spec.paths[rules.path] || {};
+      const operation = pathItem[rules.method] = pathItem[rules.method] || {};
+
+      const parameters = [
+        ...Object.entries(rules.params || {}).map(([name, schema]) => ({
+          in: 'path',
+          name,
+          required: true,
+          description: schema.description,
+          schema: parameterSchema(schema)
+        })),
+        ...Object.entries(rules.query || {}).map(([name, schema]) => ({
+          in: 'query',
+          name,
+          required: (rules.required || []).includes(name),
+          description: schema.description,
+          schema: parameterSchema(schema)
+        })),
+        ...Object.entries(rules.headers || {}).map(([name, schema]) => ({
+          in: 'header',
+          name,
+          required: false,
+          description: schema.description,
+          schema: parameterSchema(schema)
+        }))
+      ];
+      if (parameters.length > 0) operation.parameters = parameters;
+
+      operation.responses = operation.responses || {};
+      if (!operation.responses[400]) {
+        operation.responses[400] = {
+          description: 'Invalid request (code INVALID_REQUEST, with details per field)',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        };
+      }
+
+      if (rules.body) {
+        operation.requestBody = {
+          required: true,
+          content: {
+            [rules.body.contentType || 'application/json']: {
+              schema: {
+                type: 'object',
+                required: rules.body.required,
+                additionalProperties: false,
+                properties: Object.fromEntries(
+                  Object.entries(rules.body.properties).map(([name, schema]) => [name, toOpenApiSchema(schema)])
+                )
+              }
+            }
+          }
+        };
+      }
+    }
+  }
+
+  return spec;
+};
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// One change to a catalog record (see utils/audit.js). Entries are only
+// ever added.
+const auditLogSchema = new mongoose.Schema({
+  // Model the record belongs to: Book, Author or Category
+  resource: {
+    type: String,
+    required: [true, 'Resource is required']
+  },
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Document ID is required']
+  },
+  // delete/restore are moves to and from the trash; purge removes the record
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'restore', 'purge'],
+    required: [true, 'Action is required']
+  },
+  // User who made the change; null for changes made by the server itself
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  requestId: {
+    type: String,
+    default: null
+  },
+  // HTTP method and path of the request that made the change
+  method: {
+    type: String,
+    default: null
+  },
+  path: {
+    type: String,
+    default: null
+  },
+  // Changed fields with their old and new values; a missing before or
+  // after means the field was unset
+  changes: [{
+    _id: false,
+    path: { type: String, required: true },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }]
+}, {
+  timestamps: { createdAt: 'timestamp', updatedAt: false },
+  versionKey: false
+});
+
+// Indexes for better query performance
+auditLogSchema.index({ resource: 1, documentId: 1, timestamp: -1 });
+auditLogSchema.index({ actor: 1, timestamp: -1 });
+auditLogSchema.index({ timestamp: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { searchable } = require('../utils/search.js');
+const { softDelete } = require('../utils/softDelete.js');
+const { auditable } = require('../utils/audit.js');
 
 const authorSchema = new mongoose.Schema({
   name: {
@@ -26,11 +29,46 @@ const authorSchema = new mongoose.Schema({
   website: {
     type: String,
     trim: true
+  },
+  // Names of authors merged into this one, kept for search
+  aliases: {
+    type: [String],
+    default: undefined
+  },
+  // IDs of authors merged into this one; requests for them redirect here
+  mergedIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: undefined
   }
 }, {
   timestamps: true
 });
 
+// Deleting moves an author to the trash (GET /api/trash)
+authorSchema.plugin(softDelete);
+
+// Typo-tolerant search on name and merged-in names, exact words in the biography (GET /api/search)
+authorSchema.plugin(searchable, {
+  fields: {
+    name: { weight: 3, fuzzy: true },
+    aliases: { weight: 2, fuzzy: true },
+    biography: { weight: 1 }
+  }
+});
+
+// Every change to an author is recorded with a diff (GET /api/audit)
+authorSchema.plugin(auditable);
+
+authorSchema.index({ mergedIds: 1 });
+// Latest change first, for cache validators (middleware/cache.js)
+authorSchema.index({ updatedAt: -1 });
+
+// ID of the author a merged-away author now lives on, or null
+authorSchema.statics.findMergedInto = async function(id) {
+  const survivor = await this.findOne({ mergedIds: id }).select('_id').lean();
+  return survivor ? survivor._id : null;
+};
+
 authorSchema.virtual('books', {
   ref: 'Book',
   localField: '_id',
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { compact, isValidIsbn13, toIsbn13, toIsbn10 } = require('../utils/isbn.js');
+const { searchable } = require('../utils/search.js');
+const { softDelete } = require('../utils/softDelete.js');
+const { auditable } = require('../utils/audit.js');
 
 const bookSchema = new mongoose.Schema({
   title: {
@@ -11,11 +15,20 @@ const bookSchema = new mongoose.Schema({
     ref: 'Author',
     required: [true, 'Author is required']
   },
+  // Canonical ISBN-13; ISBN-10s and hyphenated forms are converted on save
   isbn: {
     type: String,
     unique: true,
     trim: true,
-    match: [/^(?:\d{10}|\d{13})$/, 'ISBN must be 10 or 13 digits']
+    validate: {
+      validator: (value) => !value || isValidIsbn13(value),
+      message: 'ISBN must be a valid ISBN-13 (a valid ISBN-10 is converted to one before this check)'
+    }
+  },
+  // The ISBN exactly as it was entered
+  isbnOriginal: {
+    type: String,
+    trim: true
   },
   publishedDate: {
     type: Date
@@ -50,15 +63,28 @@ const bookSchema = new mongoose.Schema({
     type: Number,
     min: [0, 'Price cannot be negative']
   },
+  // Maintained from copy records (see Item.syncBookAvailability)
   inStock: {
     type: Boolean,
-    default: true
+    default: false
   },
+  // Average of approved reviews (see Review.recomputeBookRating)
   rating: {
     type: Number,
     min: [0, 'Rating must be between 0 and 5'],
     max: [5, 'Rating must be between 0 and 5'],
     default: 0
+  },
+  ratingCount: {
+    type: Number,
+    min: [0, 'Rating count cannot be negative'],
+    default: 0
+  },
+  // Leader and fields of the MARC record this book was imported from, so
+  // an export can write back everything we don't map
+  marc: {
+    type: mongoose.Schema.Types.Mixed,
+    select: false
   }
 }, {
   timestamps: true
@@ -69,5 +95,144 @@ bookSchema.index({ title: 'text', description: 'text' });
 bookSchema.index({ author: 1 });
 bookSchema.index({ category: 1 });
 bookSchema.index({ rating: -1 });
+// Latest change first, for cache validators (middleware/cache.js)
+bookSchema.index({ updatedAt: -1 });
+
+// Deleting moves a book to the trash (GET /api/trash)
+bookSchema.plugin(softDelete);
+
+// Typo-tolerant search on title, exact words in the description (GET /api/search)
+bookSchema.plugin(searchable, {
+  fields: {
+    title: { weight: 3, fuzzy: true },
+    description: { weight: 1 }
+  }
+});
+
+// Every change to a book is recorded with a diff (GET /api/audit)
+bookSchema.plugin(auditable);
+
+// Store a valid ISBN as its ISBN-13 and remember what was entered. Invalid
+// values are only compacted, so the validator reports them.
+const normalizeIsbn = (target) => {
+  const original = String(target.isbn).trim();
+  target.isbnOriginal = original;
+  target.isbn = toIsbn13(original) || compact(original);
+};
+
+bookSchema.pre('validate', function(next) {
+  if (this.isModified('isbn') && this.isbn) {
+    normalizeIsbn(this);
+  }
+  next();
+});
+
+bookSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate() || {};
+  const target = update.$set && update.$set.isbn !== undefined ? update.$set : update;
+  if (target.isbn) {
+    normalizeIsbn(target);
+  }
+  next();
+});
+
+// Find a book by ISBN-10 or ISBN-13 in any notation. A book saved before
+// ISBNs were normalized may still hold its ISBN-10 (see
+// normalizeStoredIsbns), so match that too.
+bookSchema.statics.findByIsbn = function(value) {
+  const isbn13 = toIsbn13(value);
+  const forms = isbn13 ? [isbn13, toIsbn10(isbn13)].filter(Boolean) : [compact(value)];
+  return this.findOne({ isbn: { $in: forms } });
+};
+
+// Convert ISBNs stored before normalization (ISBN-10s, hyphenated forms) to
+// their ISBN-13, books in the trash included. A book whose ISBN-13 another
+// book already holds is the same edition catalogued twice: it is left alone
+// and reported in collisions for someone to merge or fix. Values that are
+// no valid ISBN at all are reported in invalid.
+bookSchema.statics.normalizeStoredIsbns = async function() {
+  const result = { normalized: 0, collisions: [], invalid: [] };
+  const cursor = this.find({ isbn: { $type: 'string', $ne: '', $not: /^97[89]\d{10}$/ } })
+    .withDeleted()
+    .select('isbn isbnOriginal')
+    .lean()
+    .cursor();
+
+  for await (const book of cursor) {
+    const isbn13 = toIsbn13(book.isbn);
+
+    if (!isbn13) {
+      result.invalid.push({ _id: book._id, isbn: book.isbn });
+      continue;
+    }
+
+    try {
+      await this.collection.updateOne(
+        { _id: book._id, isbn: book.isbn },
+        { $set: { isbn: isbn13, isbnOriginal: book.isbnOriginal || book.isbn, updatedAt: new Date() } }
+      );
+      result.normalized++;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      const holder = await this.findOne({ isbn: isbn13 }).withDeleted().select('_id').lean();
+      result.collisions.push({ _id: book._id, isbn: book.isbn, isbn13, conflictsWith: holder ? holder._id : null });
+    }
+  }
+
+  return result;
+};
+
+// What other collections hold for each book: { loans, activeLoans,
+// openHolds, closedHolds, copies, reviews } keyed by book id. Copies,
+// reviews and closed holds are removed with the book when it is purged.
+bookSchema.statics.getDependencyCounts = async function(bookIds, session = null) {
+  const countByBook = (model, match = {}) => mongoose.model(model)
+    .aggregate([
+      { $match: { book: { $in: bookIds }, ...match } },
+      { $group: { _id: '$book', count: { $sum: 1 } } }
+    ])
+    .session(session);
+
+  // One at a time: operations in a transaction can't run concurrently
+  const counts = {
+    loans: await countByBook('Loan'),
+    activeLoans: await countByBook('Loan', { status: 'active' }),
+    openHolds: await countByBook('Hold', { status: { $in: ['pending', 'ready'] } }),
+    closedHolds: await countByBook('Hold', { status: { $nin: ['pending', 'ready'] } }),
+    copies: await countByBook('Item'),
+    reviews: await countByBook('Review')
+  };
+
+  const result = new Map(bookIds.map(id => [String(id), {
+    loans: 0, activeLoans: 0, openHolds: 0, closedHolds: 0, copies: 0, reviews: 0
+  }]));
+  for (const [key, entries] of Object.entries(counts)) {
+    for (const entry of entries) result.get(String(entry._id))[key] = entry.count;
+  }
+  return result;
+};
+
+// A book out on loan or with patrons waiting can't go to the trash
+bookSchema.statics.isDeleteBlocked = (dependencies) => dependencies.activeLoans > 0 || dependencies.openHolds > 0;
+
+// Nor can it be purged while loans (which fines point at) refer to it
+bookSchema.statics.isPurgeBlocked = (dependencies) => dependencies.loans > 0 || dependencies.openHolds > 0;
+
+// Permanently delete books with their copies, reviews and holds. Check
+// isPurgeBlocked first; run inside a transaction.
+bookSchema.statics.deleteWithDependents = async function(bookIds, session) {
+  const filter = { book: { $in: bookIds } };
+  const copies = await mongoose.model('Item').deleteMany(filter, { session });
+  const reviews = await mongoose.model('Review').deleteMany(filter, { session });
+  const holds = await mongoose.model('Hold').deleteMany(filter, { session });
+  const books = await this.deleteMany({ _id: { $in: bookIds } }, { session });
+
+  return {
+    books: books.deletedCount,
+    copies: copies.deletedCount,
+    reviews: reviews.deletedCount,
+    holds: holds.deletedCount
+  };
+};
 
 module.exports = mongoose.model('Book', bookSchema);
\ No newline at end of file
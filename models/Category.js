@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { searchable } = require('../utils/search.js');
+const { softDelete } = require('../utils/softDelete.js');
+const { auditable } = require('../utils/audit.js');
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -30,6 +33,9 @@ const categorySchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Latest change first, for cache validators (middleware/cache.js)
+categorySchema.index({ updatedAt: -1 });
+
 // Create slug from name before saving
 categorySchema.pre('save', function(next) {
   if (this.isModified('name')) {
@@ -38,6 +44,20 @@ categorySchema.pre('save', function(next) {
   next();
 });
 
+// Deleting moves a category to the trash (GET /api/trash)
+categorySchema.plugin(softDelete);
+
+// Typo-tolerant search on name, exact words in the description (GET /api/search)
+categorySchema.plugin(searchable, {
+  fields: {
+    name: { weight: 3, fuzzy: true },
+    description: { weight: 1 }
+  }
+});
+
+// Every change to a category is recorded with a diff (GET /api/audit)
+categorySchema.plugin(auditable);
+
 // Virtual for books in this category
 categorySchema.virtual('books', {
   ref: 'Book',
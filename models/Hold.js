@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const circulation = require('../config/circulation.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const holdSchema = new mongoose.Schema({
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: [true, 'Book is required']
+  },
+  patron: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patron',
+    required: [true, 'Patron is required']
+  },
+  // The copy set aside for the patron once the hold is ready
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'ready', 'fulfilled', 'cancelled', 'expired'],
+    default: 'pending'
+  },
+  placedAt: {
+    type: Date,
+    default: Date.now
+  },
+  readyAt: {
+    type: Date
+  },
+  // Pickup deadline for a ready hold
+  expiresAt: {
+    type: Date
+  },
+  closedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+holdSchema.index({ book: 1, status: 1, placedAt: 1 });
+holdSchema.index({ patron: 1, status: 1 });
+holdSchema.index({ status: 1, expiresAt: 1 });
+
+// 1-based position of a pending hold in its book's FIFO queue
+holdSchema.statics.getQueuePosition = async function(hold) {
+  if (hold.status !== 'pending') return null;
+  const ahead = await this.countDocuments({
+    book: hold.book,
+    status: 'pending',
+    placedAt: { $lt: hold.placedAt }
+  });
+  return ahead + 1;
+};
+
+// Hand a copy that has just become free to the next pending hold on its book,
+// or put it back on the shelf when nobody is waiting
+holdSchema.statics.releaseItem = async function(item) {
+  const Item = mongoose.model('Item');
+  const now = new Date();
+
+  const hold = await this.findOneAndUpdate(
+    { book: item.book, status: 'pending' },
+    {
+      status: 'ready',
+      item: item._id,
+      readyAt: now,
+      expiresAt: new Date(now.getTime() + circulation.holdPickupDays * DAY_MS)
+    },
+    { new: true, sort: { placedAt: 1 } }
+  );
+
+  item.status = hold ? 'on_hold' : 'available';
+  await Item.updateOne({ _id: item._id }, { status: item.status });
+  await Item.syncBookAvailability(item.book);
+
+  return hold;
+};
+
+// Expire ready holds past their pickup deadline and pass their copies on
+holdSchema.statics.expireReadyHolds = async function() {
+  const Item = mongoose.model('Item');
+  const overdue = await this.find({ status: 'ready', expiresAt: { $lt: new Date() } }).select('_id');
+  let expired = 0;
+
+  for (const { _id } of overdue) {
+    const hold = await this.findOneAndUpdate(
+      { _id, status: 'ready' },
+      { status: 'expired', closedAt: new Date() },
+      { new: true }
+    );
+    if (!hold) continue;
+
+    expired += 1;
+    const item = hold.item && await Item.findById(hold.item);
+    if (item && item.status === 'on_hold') {
+      await this.releaseItem(item);
+    }
+  }
+
+  return expired;
+};
+
+module.exports = mongoose.model('Hold', holdSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const importJobSchema = new mongoose.Schema({
+  format: {
+    type: String,
+    enum: ['csv', 'json'],
+    required: [true, 'Format is required']
+  },
+  fileName: {
+    type: String,
+    trim: true
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  processedRows: {
+    type: Number,
+    default: 0
+  },
+  summary: {
+    booksCreated: { type: Number, default: 0 },
+    booksUpdated: { type: Number, default: 0 },
+    authorsCreated: { type: Number, default: 0 },
+    failedRows: { type: Number, default: 0 }
+  },
+  // Per-row problems; each entry is { row, field, message }
+  rowErrors: [{
+    _id: false,
+    row: Number,
+    field: String,
+    message: String
+  }],
+  error: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+importJobSchema.index({ createdAt: -1 });
+
+importJobSchema.virtual('progress').get(function() {
+  return this.totalRows > 0 ? Math.round((this.processedRows / this.totalRows) * 100) : 0;
+});
+
+importJobSchema.set('toJSON', { virtuals: true });
+importJobSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const itemSchema = new mongoose.Schema({
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: [true, 'Book is required']
+  },
+  barcode: {
+    type: String,
+    required: [true, 'Barcode is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  shelfLocation: {
+    type: String,
+    trim: true
+  },
+  acquisitionDate: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['available', 'on_loan', 'on_hold', 'lost', 'in_repair'],
+    default: 'available'
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+itemSchema.index({ book: 1, status: 1 });
+// Latest change first, for cache validators (middleware/cache.js)
+itemSchema.index({ updatedAt: -1 });
+
+// Recompute Book.inStock from the copies that are currently available
+itemSchema.statics.syncBookAvailability = async function(bookId) {
+  const availableCopies = await this.countDocuments({ book: bookId, status: 'available' });
+  await mongoose.model('Book').updateOne({ _id: bookId }, { inStock: availableCopies > 0 });
+  return availableCopies > 0;
+};
+
+// Total and available copy counts keyed by book id
+itemSchema.statics.getCopyCounts = async function(bookIds) {
+  const counts = await this.aggregate([
+    { $match: { book: { $in: bookIds } } },
+    {
+      $group: {
+        _id: '$book',
+        totalCopies: { $sum: 1 },
+        availableCopies: { $sum: { $cond: [{ $eq: ['$status', 'available'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  return new Map(counts.map(entry => [String(entry._id), {
+    totalCopies: entry.totalCopies,
+    availableCopies: entry.availableCopies
+  }]));
+};
+
+module.exports = mongoose.model('Item', itemSchema);
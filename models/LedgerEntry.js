@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Entry types that add to what a patron owes; everything else reduces it
+const CHARGE_TYPES = ['overdue_fine', 'lost_item'];
+
+const ledgerEntrySchema = new mongoose.Schema({
+  patron: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patron',
+    required: [true, 'Patron is required']
+  },
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['overdue_fine', 'lost_item', 'payment', 'waiver'],
+    required: [true, 'Entry type is required']
+  },
+  // Always positive; the type decides whether it is a charge or a credit
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than 0']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Payment method for payments (cash, card, ...)
+  method: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+ledgerEntrySchema.index({ patron: 1, createdAt: -1 });
+ledgerEntrySchema.index({ loan: 1, type: 1 });
+
+ledgerEntrySchema.virtual('isCharge').get(function() {
+  return CHARGE_TYPES.includes(this.type);
+});
+
+// Outstanding balance for a patron: charges minus payments and waivers
+ledgerEntrySchema.statics.getBalance = async function(patronId) {
+  const result = await this.aggregate([
+    { $match: { patron: new mongoose.Types.ObjectId(String(patronId)) } },
+    {
+      $group: {
+        _id: null,
+        balance: {
+          $sum: { $cond: [{ $in: ['$type', CHARGE_TYPES] }, '$amount', { $multiply: ['$amount', -1] }] }
+        }
+      }
+    }
+  ]);
+
+  return Math.round((result[0]?.balance || 0) * 100) / 100;
+};
+
+// Overdue fees accruing on a patron's open loans that have not been charged yet
+ledgerEntrySchema.statics.getAccruedFines = async function(patronId) {
+  const overdueLoans = await mongoose.model('Loan').find({
+    patron: patronId,
+    status: 'active',
+    dueDate: { $lt: new Date() }
+  });
+
+  const accrued = overdueLoans.reduce((sum, loan) => sum + loan.calculateOverdueFine(), 0);
+  return Math.round(accrued * 100) / 100;
+};
+
+ledgerEntrySchema.set('toJSON', { virtuals: true });
+ledgerEntrySchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
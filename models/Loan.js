@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const circulation = require('../config/circulation.js');
+
+const loanSchema = new mongoose.Schema({
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: [true, 'Book is required']
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item',
+    required: [true, 'Item is required']
+  },
+  patron: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patron',
+    required: [true, 'Patron is required']
+  },
+  checkedOutAt: {
+    type: Date,
+    default: Date.now
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Due date is required']
+  },
+  returnedAt: {
+    type: Date,
+    default: null
+  },
+  lostAt: {
+    type: Date,
+    default: null
+  },
+  renewalCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Renewal count cannot be negative']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'returned', 'lost'],
+    default: 'active'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+loanSchema.index({ patron: 1, status: 1 });
+loanSchema.index({ status: 1, dueDate: 1 });
+loanSchema.index({ book: 1, checkedOutAt: -1 });
+// A copy can only be on one open loan at a time
+loanSchema.index({ item: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+
+loanSchema.virtual('isOverdue').get(function() {
+  return this.status === 'active' && this.dueDate < new Date();
+});
+
+loanSchema.virtual('daysOverdue').get(function() {
+  const end = this.returnedAt || this.lostAt || new Date();
+  const days = Math.floor((end - this.dueDate) / (24 * 60 * 60 * 1000));
+  return days > 0 ? days : 0;
+});
+
+// Overdue fee for this loan as of a given date: a per-day charge for every
+// day past the grace period, capped per loan
+loanSchema.methods.calculateOverdueFine = function(asOf = this.returnedAt || this.lostAt || new Date()) {
+  const { perDay, graceDays, maxPerLoan } = circulation.fines;
+  const daysLate = Math.floor((asOf - this.dueDate) / (24 * 60 * 60 * 1000));
+
+  if (daysLate <= graceDays) return 0;
+
+  const fine = Math.min((daysLate - graceDays) * perDay, maxPerLoan);
+  return Math.round(fine * 100) / 100;
+};
+
+loanSchema.set('toJSON', { virtuals: true });
+loanSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Loan', loanSchema);
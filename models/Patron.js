@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const patronSchema = new mongoose.Schema({
+  cardNumber: {
+    type: String,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  firstName: {
+    type: String,
+    required: [true, 'First name is required'],
+    trim: true
+  },
+  lastName: {
+    type: String,
+    required: [true, 'Last name is required'],
+    trim: true
+  },
+  email: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true,
+    lowercase: true,
+    match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  address: {
+    street: { type: String, trim: true },
+    city: { type: String, trim: true },
+    state: { type: String, trim: true },
+    postalCode: { type: String, trim: true },
+    country: { type: String, trim: true }
+  },
+  dateOfBirth: {
+    type: Date
+  },
+  membershipType: {
+    type: String,
+    enum: ['standard', 'student', 'senior', 'staff'],
+    default: 'standard'
+  },
+  membershipExpiry: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['active', 'suspended', 'expired'],
+    default: 'active'
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Generate a library card number and a one-year membership for new patrons
+patronSchema.pre('validate', function(next) {
+  if (!this.cardNumber) {
+    this.cardNumber = 'LC' + Date.now().toString().slice(-6) + Math.floor(1000 + Math.random() * 9000);
+  }
+  if (!this.membershipExpiry) {
+    const expiry = new Date();
+    expiry.setFullYear(expiry.getFullYear() + 1);
+    this.membershipExpiry = expiry;
+  }
+  next();
+});
+
+// Indexes for better query performance
+patronSchema.index({ lastName: 1, firstName: 1 });
+patronSchema.index({ status: 1 });
+
+patronSchema.virtual('fullName').get(function() {
+  return `${this.firstName} ${this.lastName}`;
+});
+
+patronSchema.virtual('isMembershipExpired').get(function() {
+  return !!this.membershipExpiry && this.membershipExpiry < new Date();
+});
+
+patronSchema.set('toJSON', { virtuals: true });
+patronSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Patron', patronSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // SHA-256 of the token; the raw token is only ever sent to the client
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // Token issued when this one was rotated
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+refreshTokenSchema.index({ user: 1 });
+// Let MongoDB drop tokens once they have expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const ratingsConfig = require('../config/ratings.js');
+
+const reviewSchema = new mongoose.Schema({
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: [true, 'Book is required']
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Reviewer is required']
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5']
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Review cannot exceed 5000 characters']
+  },
+  // Only approved reviews are shown and count towards the book rating
+  status: {
+    type: String,
+    enum: ['approved', 'pending', 'rejected'],
+    default: 'approved'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  moderationNote: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// One review per reviewer per book
+reviewSchema.index({ book: 1, reviewer: 1 }, { unique: true });
+reviewSchema.index({ book: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1 });
+// Latest change first, for cache validators (middleware/cache.js)
+reviewSchema.index({ updatedAt: -1 });
+
+// Recompute Book.rating and Book.ratingCount from approved reviews
+reviewSchema.statics.recomputeBookRating = async function(bookId) {
+  const result = await this.aggregate([
+    { $match: { book: new mongoose.Types.ObjectId(String(bookId)), status: 'approved' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  const rating = result[0] ? Math.round(result[0].average * 100) / 100 : 0;
+  const ratingCount = result[0] ? result[0].count : 0;
+
+  await mongoose.model('Book').updateOne({ _id: bookId }, { rating, ratingCount });
+  return { rating, ratingCount };
+};
+
+// Prior used by confidence-weighted rankings: { mean, weight }
+reviewSchema.statics.getRatingPrior = async function() {
+  if (ratingsConfig.priorMean !== null) {
+    return { mean: ratingsConfig.priorMean, weight: ratingsConfig.priorWeight };
+  }
+
+  const result = await this.aggregate([
+    { $match: { status: 'approved' } },
+    { $group: { _id: null, mean: { $avg: '$rating' } } }
+  ]);
+
+  return { mean: result[0] ? result[0].mean : 0, weight: ratingsConfig.priorWeight };
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const authConfig = require('../config/auth.js');
+
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: [8, 'Password must be at least 8 characters'],
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'librarian', 'patron'],
+    default: 'patron'
+  },
+  // Library account this login belongs to, for patron users
+  patron: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patron',
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Hash the password whenever it is set or changed
+userSchema.pre('save', async function() {
+  if (!this.isModified('password')) return;
+  this.password = await bcrypt.hash(this.password, authConfig.bcryptRounds);
+});
+
+userSchema.methods.comparePassword = function(candidate) {
+  return bcrypt.compare(candidate, this.password);
+};
+
+// Never expose the password hash, even when it was explicitly selected
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/audit.controller.js');
+const { authorize } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const auditRules = require('../validators/audit.validator.js');
+
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     summary: Query the audit log of catalog changes
+ *     description: One entry per created, changed, deleted, restored or purged book, author or category, newest first. Each entry has the acting user (null for changes the server made itself), the time, the request ID (also sent back in the X-Request-Id response header), the HTTP method and path, and the changed fields with their values before and after.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Success
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.get('/', authorize('admin'), validate(auditRules.getAuditLog), auditController.getAuditLog);
+
+/**
+ * @swagger
+ * /audit/{type}/{id}:
+ *   get:
+ *     summary: Change history of a book, author or category
+ *     description: Includes records that have since been deleted or purged.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Success
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.get('/:type/:id', authorize('admin', 'librarian'), validate(auditRules.getDocumentHistory), auditController.getDocumentHistory);
+
+module.exports = router;
@@ -0,0 +1,181 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/auth.controller.js');
+const { authorize } = require('../middleware/auth.js');
+
+/**
+ * @swagger
+ * /auth/register:
+ *   post:
+ *     summary: Register a new user
+ *     description: The first account created becomes an admin. Afterwards only admins may create librarian or admin accounts.
+ *     tags: [Auth]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - email
+ *               - password
+ *             properties:
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *               role:
+ *                 type: string
+ *                 enum: [admin, librarian, patron]
+ *               patron:
+ *                 type: string
+ *                 description: Linked patron account ID (admins only)
+ *     responses:
+ *       201:
+ *         description: User registered successfully
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Only admins can create staff accounts or link a patron record
+ *       404:
+ *         description: Patron not found
+ */
+router.post('/register', authController.register);
+
+/**
+ * @swagger
+ * /auth/login:
+ *   post:
+ *     summary: Log in and receive an access token and refresh token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Success
+ *       401:
+ *         description: Invalid email or password
+ */
+router.post('/login', authController.login);
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token and refresh token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Success
+ *       401:
+ *         description: Invalid, expired or reused refresh token
+ */
+router.post('/refresh', authController.refresh);
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Revoke a refresh token
+ *     tags: [Auth]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ */
+router.post('/logout', authController.logout);
+
+/**
+ * @swagger
+ * /auth/me:
+ *   get:
+ *     summary: Get the signed-in user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Success
+ *       401:
+ *         description: Authentication required
+ */
+router.get('/me', authorize('admin', 'librarian', 'patron'), authController.getMe);
+
+/**
+ * @swagger
+ * /auth/users/{id}:
+ *   patch:
+ *     summary: Change a user's role, linked patron record or disable the account
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, librarian, patron]
+ *               isActive:
+ *                 type: boolean
+ *               patron:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Patron account ID to link, or null to unlink
+ *     responses:
+ *       200:
+ *         description: User updated successfully
+ *       403:
+ *         description: Admin role required
+ *       404:
+ *         description: User or patron not found
+ */
+router.patch('/users/:id', authorize('admin'), authController.updateUserAccess);
+
+module.exports = router;
@@ -1,50 +1,47 @@
 const express = require('express');
 const router = express.Router();
 const authorsController = require('../controllers/authors.controller.js');
+const { authorize } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const { cacheCollection, cacheDocument } = require('../middleware/cache.js');
+const authorRules = require('../validators/authors.validator.js');
+
+// What author responses are built from, for their cache validators
+const AUTHOR_LIST_SOURCES = ['Author'];
+const AUTHOR_STATS_SOURCES = ['Author', 'Book', 'Review'];
 
 /**
  * @swagger
  * /authors:
  *   get:
  *     summary: Get all authors with pagination and filters
+ *     description: Page with page/limit, or pass nextCursor as after (prevCursor as before) for stable cursor pagination. Filter with field=value or field[operator]=value (e.g. nationality[in]=British,Irish), sort by several keys with sort=-birthDate,name (overrides sortBy/order) and pick fields with fields=name,nationality (sort keys are always returned).
  *     tags: [Authors]
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *         description: Page number
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *         description: Number of items per page
- *       - in: query
- *         name: search
- *         schema:
- *           type: string
- *         description: Search by name
- *       - in: query
- *         name: nationality
- *         schema:
- *           type: string
- *         description: Filter by nationality
- *       - in: query
- *         name: sortBy
- *         schema:
- *           type: string
- *         description: Field to sort by
- *       - in: query
- *         name: order
- *         schema:
- *           type: string
- *           enum: [asc, desc]
- *         description: Sort order
  *     responses:
  *       200:
  *         description: Success
+ *       304:
+ *         description: Not modified since the ETag in If-None-Match or the date in If-Modified-Since
+ */
+router.get('/', validate(authorRules.listAuthors), cacheCollection('authors', AUTHOR_LIST_SOURCES), authorsController.getAllAuthors);
+
+/**
+ * @swagger
+ * /authors/export:
+ *   get:
+ *     summary: Export authors as CSV or NDJSON
+ *     description: Streams every matching author with their book count. Accepts the same filters as GET /authors.
+ *     tags: [Authors]
+ *     responses:
+ *       200:
+ *         description: CSV or NDJSON file
+ *         content:
+ *           text/csv: {}
+ *           application/x-ndjson: {}
+ *       400:
+ *         description: Unsupported format
  */
-router.get('/', authorsController.getAllAuthors);
+router.get('/export', validate(authorRules.exportAuthors), authorsController.exportAuthors);
 
 /**
  * @swagger
@@ -52,28 +49,32 @@ router.get('/', authorsController.getAllAuthors);
  *   get:
  *     summary: Search authors by name or biography
  *     tags: [Authors]
- *     parameters:
- *       - in: query
- *         name: query
- *         required: true
- *         schema:
- *           type: string
- *         description: Search query
- *       - in: query
- *         name: nationality
- *         schema:
- *           type: string
- *         description: Filter by nationality
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *         description: Number of results
  *     responses:
  *       200:
  *         description: Success
+ *       304:
+ *         description: Not modified since the ETag in If-None-Match or the date in If-Modified-Since
+ */
+router.get('/search', validate(authorRules.searchAuthors), cacheCollection('authors', AUTHOR_LIST_SOURCES), authorsController.searchAuthors);
+
+/**
+ * @swagger
+ * /authors/duplicates:
+ *   get:
+ *     summary: List likely duplicate authors
+ *     description: Pairs of authors that are probably the same person, best first, judged by name (ignoring case, accents, punctuation, word order and initials), email and website. Each author comes with their book count. Merge them with POST /authors/{id}/merge.
+ *     tags: [Authors]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Success
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
  */
-router.get('/search', authorsController.searchAuthors);
+router.get('/duplicates', authorize('admin', 'librarian'), validate(authorRules.getDuplicateAuthors), authorsController.getDuplicateAuthors);
 
 /**
  * @swagger
@@ -81,17 +82,13 @@ router.get('/search', authorsController.searchAuthors);
  *   get:
  *     summary: Get top authors by book count
  *     tags: [Authors]
- *     parameters:
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *         description: Number of authors to return
  *     responses:
  *       200:
  *         description: Success
+ *       304:
+ *         description: Not modified since the ETag in If-None-Match or the date in If-Modified-Since
  */
-router.get('/top-by-books', authorsController.getTopAuthorsByBookCount);
+router.get('/top-by-books', validate(authorRules.getTopAuthorsByBookCount), cacheCollection('stats', AUTHOR_STATS_SOURCES), authorsController.getTopAuthorsByBookCount);
 
 /**
  * @swagger
@@ -99,22 +96,13 @@ router.get('/top-by-books', authorsController.getTopAuthorsByBookCount);
  *   get:
  *     summary: Get top authors by average book rating
  *     tags: [Authors]
- *     parameters:
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *         description: Number of authors to return
- *       - in: query
- *         name: minBooks
- *         schema:
- *           type: integer
- *         description: Minimum number of books required
  *     responses:
  *       200:
  *         description: Success
+ *       304:
+ *         description: Not modified since the ETag in If-None-Match or the date in If-Modified-Since
  */
-router.get('/top-by-rating', authorsController.getTopAuthorsByRating);
+router.get('/top-by-rating', validate(authorRules.getTopAuthorsByRating), cacheCollection('stats', AUTHOR_STATS_SOURCES), authorsController.getTopAuthorsByRating);
 
 /**
  * @swagger
@@ -125,34 +113,25 @@ router.get('/top-by-rating', authorsController.getTopAuthorsByRating);
  *     responses:
  *       200:
  *         description: Success
+ *       304:
+ *         description: Not modified since the ETag in If-None-Match or the date in If-Modified-Since
  */
-router.get('/nationalities', authorsController.getAllNationalities);
+router.get('/nationalities', validate(authorRules.getAllNationalities), cacheCollection('authors', AUTHOR_LIST_SOURCES), authorsController.getAllNationalities);
 
 /**
  * @swagger
  * /authors/nationality/{nationality}:
  *   get:
  *     summary: Get authors by nationality
+ *     description: Page with page/limit, or pass nextCursor as after (prevCursor as before) for stable cursor pagination.
  *     tags: [Authors]
- *     parameters:
- *       - in: path
- *         name: nationality
- *         required: true
- *         schema:
- *           type: string
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
  *     responses:
  *       200:
  *         description: Success
+ *       304:
+ *         description: Not modified since the ETag in If-None-Match or the date in If-Modified-Since
  */
-router.get('/nationality/:nationality', authorsController.getAuthorsByNationality);
+router.get('/nationality/:nationality', validate(authorRules.getAuthorsByNationality), cacheCollection('authors', AUTHOR_LIST_SOURCES), authorsController.getAuthorsByNationality);
 
 /**
  * @swagger
@@ -160,39 +139,53 @@ router.get('/nationality/:nationality', authorsController.getAuthorsByNationalit
  *   get:
  *     summary: Get author statistics
  *     tags: [Authors]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
  *     responses:
  *       200:
  *         description: Success
+ *       304:
+ *         description: Not modified since the ETag in If-None-Match or the date in If-Modified-Since
  *       404:
  *         description: Author not found
  */
-router.get('/:id/stats', authorsController.getAuthorStats);
+router.get('/:id/stats', validate(authorRules.getAuthorStats), cacheCollection('stats', AUTHOR_STATS_SOURCES), authorsController.getAuthorStats);
 
 /**
  * @swagger
  * /authors/{id}:
  *   get:
  *     summary: Get a single author by ID
+ *     description: IDs of authors merged into another one answer with a 301 redirect to the surviving author.
  *     tags: [Authors]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
  *     responses:
  *       200:
  *         description: Success
+ *       304:
+ *         description: Not modified since the ETag in If-None-Match or the date in If-Modified-Since
  *       404:
  *         description: Author not found
  */
-router.get('/:id', authorsController.getAuthorById);
+router.get('/:id', validate(authorRules.getAuthorById), cacheDocument('author', 'Author', { related: author => [['Book', { author: author._id }]] }), authorsController.getAuthorById);
+
+/**
+ * @swagger
+ * /authors/{id}/merge:
+ *   post:
+ *     summary: Merge duplicate authors into this one
+ *     description: Fills empty profile fields of this author from the merged ones (keeping the longest biography), keeps their names as aliases, moves their books here and deletes them. Their IDs keep working as redirects to this author. Sending the same merge again is safe. Runs in a transaction when MongoDB is a replica set.
+ *     tags: [Authors]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Authors merged
+ *       404:
+ *         description: Author or an author to merge not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.post('/:id/merge', authorize('admin', 'librarian'), validate(authorRules.mergeAuthors), authorsController.mergeAuthors);
 
 /**
  * @swagger
@@ -200,82 +193,91 @@ router.get('/:id', authorsController.getAuthorById);
  *   post:
  *     summary: Create a new author
  *     tags: [Authors]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - name
- *             properties:
- *               name:
- *                 type: string
- *               biography:
- *                 type: string
- *               birthDate:
- *                 type: string
- *                 format: date
- *               nationality:
- *                 type: string
- *               email:
- *                 type: string
- *               website:
- *                 type: string
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       201:
  *         description: Author created successfully
  *       400:
  *         description: Bad request
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
  */
-router.post('/', authorsController.createAuthor);
+router.post('/', authorize('admin', 'librarian'), validate(authorRules.createAuthor), authorsController.createAuthor);
 
 /**
  * @swagger
  * /authors/{id}:
  *   put:
  *     summary: Update an author
+ *     description: Send the ETag from the last GET in If-Match to make sure nobody changed the author in the meantime. With REQUIRE_IF_MATCH=true the header is mandatory.
+ *     tags: [Authors]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Author updated successfully; the ETag header holds the new version
+ *       404:
+ *         description: Author not found
+ *       412:
+ *         description: The author changed since the ETag in If-Match was issued (PRECONDITION_FAILED)
+ *       428:
+ *         description: If-Match is required (PRECONDITION_REQUIRED)
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.put('/:id', authorize('admin', 'librarian'), validate(authorRules.updateAuthor), authorsController.updateAuthor);
+
+/**
+ * @swagger
+ * /authors/{id}:
+ *   patch:
+ *     summary: Partially update an author
+ *     description: The body is a JSON Merge Patch (RFC 7396, application/merge-patch+json; application/json is accepted too). Fields left out stay as they are and fields set to null are removed. If-Match works as for PUT.
  *     tags: [Authors]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Author updated successfully
+ *         description: Author updated successfully; the ETag header holds the new version
  *       404:
  *         description: Author not found
+ *       412:
+ *         description: The author changed since the ETag in If-Match was issued (PRECONDITION_FAILED)
+ *       428:
+ *         description: If-Match is required (PRECONDITION_REQUIRED)
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
  */
-router.put('/:id', authorsController.updateAuthor);
+router.patch('/:id', authorize('admin', 'librarian'), validate(authorRules.patchAuthor), authorsController.patchAuthor);
 
 /**
  * @swagger
  * /authors/{id}:
  *   delete:
- *     summary: Delete an author
+ *     summary: Move an author to the trash
+ *     description: The author can be restored from the trash (see /trash) until it is purged. Runs in a transaction when MongoDB is a replica set. Books that are on loan or have open holds can't be cascade-deleted; the error lists them.
  *     tags: [Authors]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Author deleted successfully
+ *         description: Author moved to the trash
  *       400:
- *         description: Cannot delete author with associated books
+ *         description: Author has books (AUTHOR_HAS_BOOKS) or some can't be deleted (BOOKS_HAVE_DEPENDENCIES); details list the books
  *       404:
  *         description: Author not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
  */
-router.delete('/:id', authorsController.deleteAuthor);
+router.delete('/:id', authorize('admin'), validate(authorRules.deleteAuthor), authorsController.deleteAuthor);
 
 module.exports = router;
\ No newline at end of file
@@ -1,59 +1,71 @@
 const express = require('express');
 const router = express.Router();
 const booksController = require('../controllers/books.controller.js');
+const { authorize } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const { cacheCollection, cacheDocument } = require('../middleware/cache.js');
+const bookRules = require('../validators/books.validator.js');
+
+// What book responses are built from, for their cache validators
+const BOOK_LIST_SOURCES = ['Book', 'Author', 'Category', 'Item'];
+const BOOK_STATS_SOURCES = ['Book', 'Category', 'Review'];
+const cacheBook = (find) => cacheDocument('book', 'Book', {
+  find,
+  related: book => [
+    ['Author', { _id: book.author }],
+    ['Category', { _id: book.category }],
+    ['Item', { book: book._id }],
+    ['Hold', { book: book._id }]
+  ]
+});
 
 /**
  * @swagger
  * /books:
  *   get:
  *     summary: Get all books with pagination and filters
+ *     description: Each book includes totalCopies and availableCopies counted from its copy records. Page with page/limit, or pass nextCursor as after (prevCursor as before) for stable cursor pagination. Filter with field=value or field[operator]=value (e.g. price[gte]=10&price[lte]=20, author[in]=id1,id2), sort by several keys with sort=-rating,title and pick fields with fields=title,isbn,author.name (sort keys are always returned).
+ *     tags: [Books]
+ *     responses:
+ *       200:
+ *         description: Success
+ *       304:
+ *         description: Not modified since the ETag in If-None-Match or the date in If-Modified-Since
+ */
+router.get('/', validate(bookRules.listBooks), cacheCollection('books', BOOK_LIST_SOURCES), booksController.getAllBooks);
+
+/**
+ * @swagger
+ * /books/facets:
+ *   get:
+ *     summary: Get a page of books with facet counts
+ *     description: Takes the same filters, sorting and paging as GET /books and adds a facets object with counts per genre, category, author, language, stock status, rating band (rating at least min), price bucket and publication-year bucket. Each facet is counted with every other active filter applied but not its own.
  *     tags: [Books]
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *         description: Page number
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *         description: Number of items per page
- *       - in: query
- *         name: genre
- *         schema:
- *           type: string
- *         description: Filter by genre
- *       - in: query
- *         name: category
- *         schema:
- *           type: string
- *         description: Filter by category ID
- *       - in: query
- *         name: inStock
- *         schema:
- *           type: boolean
- *         description: Filter by stock status
- *       - in: query
- *         name: search
- *         schema:
- *           type: string
- *         description: Search in title and description
- *       - in: query
- *         name: minRating
- *         schema:
- *           type: number
- *         description: Minimum rating
- *       - in: query
- *         name: maxRating
- *         schema:
- *           type: number
- *         description: Maximum rating
  *     responses:
  *       200:
  *         description: Success
+ *       304:
+ *         description: Not modified since the ETag in If-None-Match or the date in If-Modified-Since
  */
-router.get('/', booksController.getAllBooks);
+router.get('/facets', validate(bookRules.getBookFacets), cacheCollection('books', BOOK_LIST_SOURCES), booksController.getBookFacets);
+
+/**
+ * @swagger
+ * /books/export:
+ *   get:
+ *     summary: Export books as CSV or NDJSON
+ *     description: Streams every matching book with author and category names flattened into columns. Accepts the same filters as GET /books.
+ *     tags: [Books]
+ *     responses:
+ *       200:
+ *         description: CSV or NDJSON file
+ *         content:
+ *           text/csv: {}
+ *           application/x-ndjson: {}
+ *       400:
+ *         description: Unsupported format
+ */
+router.get('/export', validate(bookRules.exportBooks), booksController.exportBooks);
 
 /**
  * @swagger
@@ -64,8 +76,10 @@ router.get('/', booksController.getAllBooks);
  *     responses:
  *       200:
  *         description: Success
+ *       304:
+ *         description: Not modified since the ETag in If-None-Match or the date in If-Modified-Since
  */
-router.get('/stats/overview', booksController.getBookStatistics);
+router.get('/stats/overview', validate(bookRules.getBookStatistics), cacheCollection('stats', BOOK_STATS_SOURCES), booksController.getBookStatistics);
 
 /**
  * @swagger
@@ -76,8 +90,10 @@ router.get('/stats/overview', booksController.getBookStatistics);
  *     responses:
  *       200:
  *         description: Success
+ *       304:
+ *         description: Not modified since the ETag in If-None-Match or the date in If-Modified-Since
  */
-router.get('/top-rated-by-category', booksController.getTopRatedBooksByCategory);
+router.get('/top-rated-by-category', validate(bookRules.getTopRatedBooksByCategory), cacheCollection('stats', BOOK_STATS_SOURCES), booksController.getTopRatedBooksByCategory);
 
 /**
  * @swagger
@@ -85,55 +101,64 @@ router.get('/top-rated-by-category', booksController.getTopRatedBooksByCategory)
  *   get:
  *     summary: Get all books by a specific author
  *     tags: [Books]
- *     parameters:
- *       - in: path
- *         name: authorId
- *         required: true
- *         schema:
- *           type: string
  *     responses:
  *       200:
  *         description: Success
+ *       304:
+ *         description: Not modified since the ETag in If-None-Match or the date in If-Modified-Since
  */
-router.get('/author/:authorId', booksController.getBooksByAuthor);
+router.get('/author/:authorId', validate(bookRules.getBooksByAuthor), cacheCollection('books', BOOK_LIST_SOURCES), booksController.getBooksByAuthor);
 
 /**
  * @swagger
  * /books/category/{categoryId}:
  *   get:
  *     summary: Get all books by a specific category
+ *     description: Page with page/limit, or pass nextCursor as after (prevCursor as before) for stable cursor pagination.
  *     tags: [Books]
- *     parameters:
- *       - in: path
- *         name: categoryId
- *         required: true
- *         schema:
- *           type: string
  *     responses:
  *       200:
  *         description: Success
+ *       304:
+ *         description: Not modified since the ETag in If-None-Match or the date in If-Modified-Since
  */
-router.get('/category/:categoryId', booksController.getBooksByCategory);
+router.get('/category/:categoryId', validate(bookRules.getBooksByCategory), cacheCollection('books', BOOK_LIST_SOURCES), booksController.getBooksByCategory);
+
+/**
+ * @swagger
+ * /books/isbn/{isbn}:
+ *   get:
+ *     summary: Get a single book by ISBN
+ *     description: Accepts an ISBN-10 or ISBN-13, with or without hyphens and spaces.
+ *     tags: [Books]
+ *     responses:
+ *       200:
+ *         description: Success
+ *       304:
+ *         description: Not modified since the ETag in If-None-Match or the date in If-Modified-Since
+ *       400:
+ *         description: Invalid ISBN
+ *       404:
+ *         description: Book not found
+ */
+router.get('/isbn/:isbn', validate(bookRules.getBookByIsbn), cacheBook((Book, req) => Book.findByIsbn(req.params.isbn)), booksController.getBookByIsbn);
 
 /**
  * @swagger
  * /books/{id}:
  *   get:
  *     summary: Get a single book by ID
+ *     description: Includes totalCopies and availableCopies counted from the book's copy records, and holdQueueLength, the number of patrons waiting for a copy.
  *     tags: [Books]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
  *     responses:
  *       200:
  *         description: Success
+ *       304:
+ *         description: Not modified since the ETag in If-None-Match or the date in If-Modified-Since
  *       404:
  *         description: Book not found
  */
-router.get('/:id', booksController.getBookById);
+router.get('/:id', validate(bookRules.getBookById), cacheBook(), booksController.getBookById);
 
 /**
  * @swagger
@@ -141,155 +166,131 @@ router.get('/:id', booksController.getBookById);
  *   post:
  *     summary: Create a new book
  *     tags: [Books]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - title
- *               - author
- *             properties:
- *               title:
- *                 type: string
- *               author:
- *                 type: string
- *               category:
- *                 type: string
- *               isbn:
- *                 type: string
- *               publishedDate:
- *                 type: string
- *                 format: date
- *               publisher:
- *                 type: string
- *               pages:
- *                 type: number
- *               genre:
- *                 type: string
- *               description:
- *                 type: string
- *               language:
- *                 type: string
- *               price:
- *                 type: number
- *               inStock:
- *                 type: boolean
- *               rating:
- *                 type: number
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       201:
  *         description: Book created successfully
  *       400:
  *         description: Bad request
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
  */
-router.post('/', booksController.createBook);
+router.post('/', authorize('admin', 'librarian'), validate(bookRules.createBook), booksController.createBook);
 
 /**
  * @swagger
  * /books/{id}:
  *   put:
  *     summary: Update a book
+ *     description: Send the ETag from the last GET in If-Match to make sure nobody changed the book in the meantime. With REQUIRE_IF_MATCH=true the header is mandatory.
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Book updated successfully; the ETag header holds the new version
+ *       404:
+ *         description: Book not found
+ *       412:
+ *         description: The book changed since the ETag in If-Match was issued (PRECONDITION_FAILED)
+ *       428:
+ *         description: If-Match is required (PRECONDITION_REQUIRED)
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.put('/:id', authorize('admin', 'librarian'), validate(bookRules.updateBook), booksController.updateBook);
+
+/**
+ * @swagger
+ * /books/{id}:
+ *   patch:
+ *     summary: Partially update a book
+ *     description: The body is a JSON Merge Patch (RFC 7396, application/merge-patch+json; application/json is accepted too). Fields left out stay as they are and fields set to null are removed. If-Match works as for PUT.
  *     tags: [Books]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Book updated successfully
+ *         description: Book updated successfully; the ETag header holds the new version
  *       404:
  *         description: Book not found
+ *       412:
+ *         description: The book changed since the ETag in If-Match was issued (PRECONDITION_FAILED)
+ *       428:
+ *         description: If-Match is required (PRECONDITION_REQUIRED)
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
  */
-router.put('/:id', booksController.updateBook);
+router.patch('/:id', authorize('admin', 'librarian'), validate(bookRules.patchBook), booksController.patchBook);
 
 /**
  * @swagger
  * /books/{id}/stock:
  *   patch:
- *     summary: Update book stock status
+ *     summary: Recalculate book stock status from its available copies
+ *     description: Stock status is derived from the book's copy records and can no longer be set by hand. Any request body is ignored.
  *     tags: [Books]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - inStock
- *             properties:
- *               inStock:
- *                 type: boolean
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Stock status updated
+ *       404:
+ *         description: Book not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
  */
-router.patch('/:id/stock', booksController.updateBookStock);
+router.patch('/:id/stock', authorize('admin', 'librarian'), validate(bookRules.updateBookStock), booksController.updateBookStock);
 
 /**
  * @swagger
  * /books/{id}/rating:
  *   patch:
- *     summary: Update book rating
+ *     summary: Rate a book
+ *     description: Creates or updates the caller's review with this rating. Book.rating and Book.ratingCount are recomputed from approved reviews.
  *     tags: [Books]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - rating
- *             properties:
- *               rating:
- *                 type: number
- *                 minimum: 0
- *                 maximum: 5
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Rating updated
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
  */
-router.patch('/:id/rating', booksController.updateBookRating);
+router.patch('/:id/rating', authorize('admin', 'librarian', 'patron'), validate(bookRules.updateBookRating), booksController.updateBookRating);
 
 /**
  * @swagger
  * /books/{id}:
  *   delete:
- *     summary: Delete a book
+ *     summary: Move a book to the trash
+ *     description: The book is hidden everywhere until it is restored or purged (see /trash); its copies can't be lent meanwhile, and they are removed with its reviews and holds when it is purged. Runs in a transaction when MongoDB is a replica set. A book that is on loan or has open holds can't be deleted.
  *     tags: [Books]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Book deleted successfully
+ *         description: Book moved to the trash
+ *       400:
+ *         description: Book is on loan or has open holds (BOOK_HAS_DEPENDENCIES)
  *       404:
  *         description: Book not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
  */
-router.delete('/:id', booksController.deleteBook);
+router.delete('/:id', authorize('admin'), validate(bookRules.deleteBook), booksController.deleteBook);
 
 module.exports = router;
\ No newline at end of file
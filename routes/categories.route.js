@@ -0,0 +1,207 @@
+const express = require('express');
+const router = express.Router();
+const categoriesController = require('../controllers/categories.controller.js');
+const { authorize } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const categoryRules = require('../validators/categories.validator.js');
+
+/**
+ * @swagger
+ * /categories:
+ *   get:
+ *     summary: Get all categories with pagination and filters
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by name
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *       - in: query
+ *         name: parent
+ *         schema:
+ *           type: string
+ *         description: Filter by parent category ID, or "root" for top-level categories
+ *     responses:
+ *       200:
+ *         description: Success
+ */
+router.get('/', categoriesController.getAllCategories);
+
+/**
+ * @swagger
+ * /categories/tree:
+ *   get:
+ *     summary: Get categories as a nested parent/child tree
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Only include active (or inactive) categories
+ *     responses:
+ *       200:
+ *         description: Success
+ */
+router.get('/tree', categoriesController.getCategoryTree);
+
+/**
+ * @swagger
+ * /categories/slug/{slug}:
+ *   get:
+ *     summary: Get a single category by slug
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Success
+ *       404:
+ *         description: Category not found
+ */
+router.get('/slug/:slug', categoriesController.getCategoryBySlug);
+
+/**
+ * @swagger
+ * /categories/{id}/breadcrumbs:
+ *   get:
+ *     summary: Get the breadcrumb trail from the root category down to this category
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Success
+ *       404:
+ *         description: Category not found
+ */
+router.get('/:id/breadcrumbs', categoriesController.getCategoryBreadcrumbs);
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   get:
+ *     summary: Get a single category by ID
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Success
+ *       404:
+ *         description: Category not found
+ */
+router.get('/:id', categoriesController.getCategoryById);
+
+/**
+ * @swagger
+ * /categories:
+ *   post:
+ *     summary: Create a new category
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Category created successfully
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Parent category not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.post('/', authorize('admin', 'librarian'), validate(categoryRules.createCategory), categoriesController.createCategory);
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   put:
+ *     summary: Update a category
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Category updated successfully
+ *       400:
+ *         description: Invalid data or parent cycle
+ *       404:
+ *         description: Category not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.put('/:id', authorize('admin', 'librarian'), validate(categoryRules.updateCategory), categoriesController.updateCategory);
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   delete:
+ *     summary: Move a category to the trash
+ *     description: The category can be restored from the trash (see /trash) until it is purged. Children and books moved by reassignTo or force stay where they were moved.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: reassignTo
+ *         schema:
+ *           type: string
+ *         description: Move child categories and books to this category before deleting
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *         description: Promote child categories to the parent and uncategorize books before deleting
+ *     responses:
+ *       200:
+ *         description: Category moved to the trash
+ *       400:
+ *         description: Category still has child categories or books
+ *       404:
+ *         description: Category not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.delete('/:id', authorize('admin'), categoriesController.deleteCategory);
+
+module.exports = router;
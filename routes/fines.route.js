@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const finesController = require('../controllers/fines.controller.js');
+const { authorize, authorizePatron } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const fineRules = require('../validators/fines.validator.js');
+
+/**
+ * @swagger
+ * /fines/patron/{patronId}:
+ *   get:
+ *     summary: Get a patron's ledger of charges, payments and waivers with their balance
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Success
+ *       404:
+ *         description: Patron not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role, or another patron's records
+ */
+router.get('/patron/:patronId', authorizePatron(req => req.params.patronId), validate(fineRules.getPatronLedger), finesController.getPatronLedger);
+
+/**
+ * @swagger
+ * /fines/patron/{patronId}/balance:
+ *   get:
+ *     summary: Get a patron's outstanding balance, fees still accruing on open loans, and whether checkout is blocked
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: patronId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Success
+ *       404:
+ *         description: Patron not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role, or another patron's records
+ */
+router.get('/patron/:patronId/balance', authorizePatron(req => req.params.patronId), finesController.getPatronBalance);
+
+/**
+ * @swagger
+ * /fines/patron/{patronId}/payments:
+ *   post:
+ *     summary: Record a payment from a patron
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: patronId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               method:
+ *                 type: string
+ *                 example: cash
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Payment recorded successfully
+ *       400:
+ *         description: Invalid amount or amount exceeds balance
+ *       404:
+ *         description: Patron not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.post('/patron/:patronId/payments', authorize('admin', 'librarian'), finesController.recordPayment);
+
+/**
+ * @swagger
+ * /fines/patron/{patronId}/waivers:
+ *   post:
+ *     summary: Waive part or all of a patron's balance
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: patronId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               description:
+ *                 type: string
+ *                 description: Reason for the waiver
+ *     responses:
+ *       201:
+ *         description: Waiver recorded successfully
+ *       400:
+ *         description: Invalid amount or amount exceeds balance
+ *       404:
+ *         description: Patron not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.post('/patron/:patronId/waivers', authorize('admin', 'librarian'), finesController.recordWaiver);
+
+module.exports = router;
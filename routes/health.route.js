@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const healthController = require('../controllers/health.controller.js');
+
+/**
+ * @swagger
+ * /health/live:
+ *   servers:
+ *     - url: /
+ *   get:
+ *     summary: Liveness probe
+ *     description: Answers 200 as long as the process is running.
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Process is alive
+ */
+router.get('/live', healthController.live);
+
+/**
+ * @swagger
+ * /health/ready:
+ *   servers:
+ *     - url: /
+ *   get:
+ *     summary: Readiness probe
+ *     description: Answers 200 when MongoDB is connected, and 503 while it is not or while the server is shutting down.
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Ready to serve traffic
+ *       503:
+ *         description: MongoDB is not connected or the server is shutting down
+ */
+router.get('/ready', healthController.ready);
+
+module.exports = router;
@@ -0,0 +1,188 @@
+const express = require('express');
+const router = express.Router();
+const holdsController = require('../controllers/holds.controller.js');
+const { authorize, authorizePatron } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const holdRules = require('../validators/holds.validator.js');
+
+/**
+ * @swagger
+ * /holds:
+ *   get:
+ *     summary: Get all holds with pagination and filters
+ *     tags: [Holds]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Success
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.get('/', authorize('admin', 'librarian'), validate(holdRules.getAllHolds), holdsController.getAllHolds);
+
+/**
+ * @swagger
+ * /holds/book/{bookId}:
+ *   get:
+ *     summary: Get the hold queue for a book in FIFO order
+ *     tags: [Holds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Success
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.get('/book/:bookId', authorize('admin', 'librarian'), holdsController.getBookHoldQueue);
+
+/**
+ * @swagger
+ * /holds/patron/{patronId}:
+ *   get:
+ *     summary: Get holds for a patron with their queue positions
+ *     tags: [Holds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: patronId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, ready, fulfilled, cancelled, expired]
+ *     responses:
+ *       200:
+ *         description: Success
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role, or another patron's records
+ */
+router.get('/patron/:patronId', authorizePatron(req => req.params.patronId), holdsController.getPatronHolds);
+
+/**
+ * @swagger
+ * /holds/{id}:
+ *   get:
+ *     summary: Get a single hold by ID
+ *     tags: [Holds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Success
+ *       404:
+ *         description: Hold not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role, or another patron's records
+ */
+router.get('/:id', authorize('admin', 'librarian', 'patron'), holdsController.getHoldById);
+
+/**
+ * @swagger
+ * /holds:
+ *   post:
+ *     summary: Place a hold on an unavailable book
+ *     tags: [Holds]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - bookId
+ *               - patronId
+ *             properties:
+ *               bookId:
+ *                 type: string
+ *               patronId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Hold placed successfully
+ *       400:
+ *         description: Book available, duplicate hold or patron not allowed to place holds
+ *       404:
+ *         description: Book or patron not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role, or another patron's records
+ */
+router.post('/', authorizePatron(req => req.body.patronId), holdsController.placeHold);
+
+/**
+ * @swagger
+ * /holds/expire:
+ *   post:
+ *     summary: Expire ready holds past their pickup deadline and pass the copies to the next patron
+ *     description: The server also does this on its own every HOLD_EXPIRY_INTERVAL_MINUTES (60 by default).
+ *     tags: [Holds]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Success
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.post('/expire', authorize('admin', 'librarian'), holdsController.expireHolds);
+
+/**
+ * @swagger
+ * /holds/{id}/cancel:
+ *   post:
+ *     summary: Cancel a pending or ready hold
+ *     tags: [Holds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Hold cancelled successfully
+ *       400:
+ *         description: Hold is already closed
+ *       404:
+ *         description: Hold not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role, or another patron's records
+ */
+router.post('/:id/cancel', authorize('admin', 'librarian', 'patron'), holdsController.cancelHold);
+
+module.exports = router;
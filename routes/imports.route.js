@@ -0,0 +1,110 @@
+const express = require('express');
+const router = express.Router();
+const importsController = require('../controllers/imports.controller.js');
+const { authorize } = require('../middleware/auth.js');
+const { singleFile } = require('../middleware/upload.js');
+
+/**
+ * @swagger
+ * /imports/books:
+ *   post:
+ *     summary: Import books and their authors from a CSV or JSON file
+ *     description: |
+ *       Authors are matched by name (case-insensitive) or created, categories are resolved by slug,
+ *       and rows are upserted by ISBN. Every row runs through the Book and Author schema validators.
+ *       Recognised columns: title, author, isbn, publishedDate, publisher, pages, genre, category (slug),
+ *       description, language, price, authorBiography, authorBirthDate, authorNationality, authorEmail,
+ *       authorWebsite. Files with more rows than IMPORT_SYNC_MAX_ROWS run as a background job (202);
+ *       poll GET /imports/{id} for progress.
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               format:
+ *                 type: string
+ *                 enum: [csv, json]
+ *                 description: Defaults to the file extension
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Validate every row and report errors without writing anything
+ *               mapping:
+ *                 type: string
+ *                 description: 'JSON object mapping file columns to importable fields (the recognised columns above), e.g. {"Book Name": "title"}'
+ *     responses:
+ *       200:
+ *         description: Dry run report with per-row results
+ *       201:
+ *         description: Import finished, with per-row results
+ *       202:
+ *         description: Import queued as a background job
+ *       400:
+ *         description: Missing or unparseable file, or a mapping that targets unknown fields (INVALID_MAPPING)
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.post('/books', authorize('admin', 'librarian'), singleFile('file'), importsController.importBooks);
+
+/**
+ * @swagger
+ * /imports:
+ *   get:
+ *     summary: Get import jobs
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, processing, completed, failed]
+ *     responses:
+ *       200:
+ *         description: Success
+ */
+router.get('/', authorize('admin', 'librarian'), importsController.getAllImportJobs);
+
+/**
+ * @swagger
+ * /imports/{id}:
+ *   get:
+ *     summary: Get an import job with its progress, summary and row errors
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Success
+ *       404:
+ *         description: Import job not found
+ */
+router.get('/:id', authorize('admin', 'librarian'), importsController.getImportJobById);
+
+module.exports = router;
@@ -0,0 +1,246 @@
+const express = require('express');
+const router = express.Router();
+const itemsController = require('../controllers/items.controller.js');
+const { authorize } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const itemRules = require('../validators/items.validator.js');
+
+/**
+ * @swagger
+ * /items:
+ *   get:
+ *     summary: Get all physical copies with pagination and filters
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Success
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.get('/', authorize('admin', 'librarian'), validate(itemRules.getAllItems), itemsController.getAllItems);
+
+/**
+ * @swagger
+ * /items/book/{bookId}:
+ *   get:
+ *     summary: Get all copies of a book
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Success
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.get('/book/:bookId', authorize('admin', 'librarian'), itemsController.getItemsByBook);
+
+/**
+ * @swagger
+ * /items/barcode/{barcode}:
+ *   get:
+ *     summary: Get a copy by barcode
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: barcode
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Success
+ *       404:
+ *         description: Item not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.get('/barcode/:barcode', authorize('admin', 'librarian'), itemsController.getItemByBarcode);
+
+/**
+ * @swagger
+ * /items/{id}:
+ *   get:
+ *     summary: Get a single copy by ID
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Success
+ *       404:
+ *         description: Item not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.get('/:id', authorize('admin', 'librarian'), itemsController.getItemById);
+
+/**
+ * @swagger
+ * /items:
+ *   post:
+ *     summary: Add a physical copy of a book
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - book
+ *               - barcode
+ *             properties:
+ *               book:
+ *                 type: string
+ *               barcode:
+ *                 type: string
+ *               shelfLocation:
+ *                 type: string
+ *               acquisitionDate:
+ *                 type: string
+ *                 format: date
+ *               status:
+ *                 type: string
+ *                 enum: [available, lost, in_repair]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Item created successfully
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Book not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.post('/', authorize('admin', 'librarian'), itemsController.createItem);
+
+/**
+ * @swagger
+ * /items/{id}:
+ *   put:
+ *     summary: Update copy details (barcode, shelf location, acquisition date, notes)
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Item updated successfully
+ *       404:
+ *         description: Item not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.put('/:id', authorize('admin', 'librarian'), itemsController.updateItem);
+
+/**
+ * @swagger
+ * /items/{id}/status:
+ *   patch:
+ *     summary: Update copy status
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [available, lost, in_repair]
+ *     responses:
+ *       200:
+ *         description: Status updated
+ *       400:
+ *         description: Invalid status or item is on loan or held
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.patch('/:id/status', authorize('admin', 'librarian'), itemsController.updateItemStatus);
+
+/**
+ * @swagger
+ * /items/{id}:
+ *   delete:
+ *     summary: Delete a copy
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Item deleted successfully
+ *       400:
+ *         description: Item is on loan or held
+ *       404:
+ *         description: Item not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.delete('/:id', authorize('admin', 'librarian'), itemsController.deleteItem);
+
+module.exports = router;
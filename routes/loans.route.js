@@ -0,0 +1,243 @@
+const express = require('express');
+const router = express.Router();
+const loansController = require('../controllers/loans.controller.js');
+const { authorize, authorizePatron } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const loanRules = require('../validators/loans.validator.js');
+
+/**
+ * @swagger
+ * /loans:
+ *   get:
+ *     summary: Get all loans with pagination and filters
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Success
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.get('/', authorize('admin', 'librarian'), validate(loanRules.getAllLoans), loansController.getAllLoans);
+
+/**
+ * @swagger
+ * /loans/overdue:
+ *   get:
+ *     summary: Get active loans past their due date
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Success
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.get('/overdue', authorize('admin', 'librarian'), validate(loanRules.getOverdueLoans), loansController.getOverdueLoans);
+
+/**
+ * @swagger
+ * /loans/book/{bookId}:
+ *   get:
+ *     summary: Get the loan history of a book
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Success
+ *       404:
+ *         description: Book not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.get('/book/:bookId', authorize('admin', 'librarian'), validate(loanRules.getBookLoanHistory), loansController.getBookLoanHistory);
+
+/**
+ * @swagger
+ * /loans/patron/{patronId}:
+ *   get:
+ *     summary: Get loans for a patron
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: patronId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, returned, lost]
+ *     responses:
+ *       200:
+ *         description: Success
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role, or another patron's records
+ */
+router.get('/patron/:patronId', authorizePatron(req => req.params.patronId), loansController.getPatronLoans);
+
+/**
+ * @swagger
+ * /loans/{id}:
+ *   get:
+ *     summary: Get a single loan by ID
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Success
+ *       404:
+ *         description: Loan not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role, or another patron's records
+ */
+router.get('/:id', authorize('admin', 'librarian', 'patron'), loansController.getLoanById);
+
+/**
+ * @swagger
+ * /loans/checkout:
+ *   post:
+ *     summary: Check out a copy of a book to a patron
+ *     description: Pass a barcode to lend a specific copy, or a bookId to lend any available copy of that book. Copies of books in the trash can't be lent.
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - patronId
+ *             properties:
+ *               bookId:
+ *                 type: string
+ *               barcode:
+ *                 type: string
+ *               patronId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Book checked out successfully
+ *       400:
+ *         description: Book unavailable or in the trash (BOOK_IN_TRASH), patron not allowed to borrow or balance over the checkout limit
+ *       404:
+ *         description: Book, item or patron not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.post('/checkout', authorize('admin', 'librarian'), loansController.checkoutBook);
+
+/**
+ * @swagger
+ * /loans/{id}/return:
+ *   post:
+ *     summary: Return a loaned book
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Book returned successfully; any overdue fee is charged to the patron
+ *       400:
+ *         description: Loan has already been returned
+ *       404:
+ *         description: Loan not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.post('/:id/return', authorize('admin', 'librarian'), loansController.returnBook);
+
+/**
+ * @swagger
+ * /loans/{id}/renew:
+ *   post:
+ *     summary: Renew a loan
+ *     description: The new due date is a full loan period after the current one. Overdue loans can't be renewed, since that would drop the fine they have accrued, and the patron must be allowed to borrow (membership active, balance under the checkout limit).
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Loan renewed
+ *       400:
+ *         description: Loan returned or overdue, renewal limit reached, holds waiting, or patron not allowed to borrow
+ *       404:
+ *         description: Loan not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role, or another patron's records
+ */
+router.post('/:id/renew', authorize('admin', 'librarian', 'patron'), loansController.renewLoan);
+
+/**
+ * @swagger
+ * /loans/{id}/lost:
+ *   post:
+ *     summary: Declare a loaned copy lost
+ *     description: Marks the copy lost and charges the patron its replacement cost (the book price, or a configured default) plus any overdue fee.
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Item declared lost
+ *       400:
+ *         description: Loan is not active
+ *       404:
+ *         description: Loan not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.post('/:id/lost', authorize('admin', 'librarian'), loansController.declareLost);
+
+module.exports = router;
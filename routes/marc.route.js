@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const marcController = require('../controllers/marc.controller.js');
+const { authorize } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const marcRules = require('../validators/marc.validator.js');
+const { singleFile } = require('../middleware/upload.js');
+
+/**
+ * @swagger
+ * /marc/import:
+ *   post:
+ *     summary: Import books from MARC21 (ISO 2709) or MARCXML records
+ *     description: Maps 245 title, 100 author, 020 ISBN, 260/264 publisher and date, 300 pages, 041 language and 520 description. Books are upserted by ISBN, authors are matched by name or created. The full record is stored with the book so fields we don't map survive a later export.
+ *     tags: [MARC]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               format:
+ *                 type: string
+ *                 enum: [marc, marcxml]
+ *                 description: Detected from the file extension or content when omitted
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Validate every record without writing anything
+ *     responses:
+ *       200:
+ *         description: Dry run report
+ *       201:
+ *         description: Records imported, with a per-record report
+ *       400:
+ *         description: Missing file, unsupported format or unreadable records
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.post('/import', authorize('admin', 'librarian'), singleFile('file'), marcController.importRecords);
+
+/**
+ * @swagger
+ * /marc/books:
+ *   get:
+ *     summary: Download books as a batch of MARC21 or MARCXML records
+ *     tags: [MARC]
+ *     responses:
+ *       200:
+ *         description: Streamed MARC file
+ */
+router.get('/books', validate(marcRules.exportRecords), marcController.exportRecords);
+
+/**
+ * @swagger
+ * /marc/books/{id}:
+ *   get:
+ *     summary: Download a single book as a MARC21 or MARCXML record
+ *     tags: [MARC]
+ *     responses:
+ *       200:
+ *         description: MARC record
+ *       404:
+ *         description: Book not found
+ */
+router.get('/books/:id', validate(marcRules.exportRecord), marcController.exportRecord);
+
+module.exports = router;
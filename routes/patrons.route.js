@@ -0,0 +1,276 @@
+const express = require('express');
+const router = express.Router();
+const patronsController = require('../controllers/patrons.controller.js');
+const { authorize, authorizePatron } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const patronRules = require('../validators/patrons.validator.js');
+
+/**
+ * @swagger
+ * /patrons:
+ *   get:
+ *     summary: Get all patrons with pagination and filters
+ *     tags: [Patrons]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Success
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.get('/', authorize('admin', 'librarian'), validate(patronRules.getAllPatrons), patronsController.getAllPatrons);
+
+/**
+ * @swagger
+ * /patrons/search:
+ *   get:
+ *     summary: Search patrons by name, email, phone or card number
+ *     tags: [Patrons]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Success
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.get('/search', authorize('admin', 'librarian'), validate(patronRules.searchPatrons), patronsController.searchPatrons);
+
+/**
+ * @swagger
+ * /patrons/card/{cardNumber}:
+ *   get:
+ *     summary: Get a patron by library card number
+ *     tags: [Patrons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: cardNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Success
+ *       404:
+ *         description: Patron not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.get('/card/:cardNumber', authorize('admin', 'librarian'), patronsController.getPatronByCardNumber);
+
+/**
+ * @swagger
+ * /patrons/{id}:
+ *   get:
+ *     summary: Get a single patron by ID
+ *     tags: [Patrons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Success
+ *       404:
+ *         description: Patron not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role, or another patron's records
+ */
+router.get('/:id', authorizePatron(req => req.params.id), patronsController.getPatronById);
+
+/**
+ * @swagger
+ * /patrons:
+ *   post:
+ *     summary: Register a new patron
+ *     tags: [Patrons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - firstName
+ *               - lastName
+ *             properties:
+ *               cardNumber:
+ *                 type: string
+ *                 description: Generated automatically when omitted
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               address:
+ *                 type: object
+ *                 properties:
+ *                   street:
+ *                     type: string
+ *                   city:
+ *                     type: string
+ *                   state:
+ *                     type: string
+ *                   postalCode:
+ *                     type: string
+ *                   country:
+ *                     type: string
+ *               dateOfBirth:
+ *                 type: string
+ *                 format: date
+ *               membershipType:
+ *                 type: string
+ *                 enum: [standard, student, senior, staff]
+ *               membershipExpiry:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to one year from registration
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Patron created successfully
+ *       400:
+ *         description: Bad request
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.post('/', authorize('admin', 'librarian'), patronsController.createPatron);
+
+/**
+ * @swagger
+ * /patrons/{id}:
+ *   put:
+ *     summary: Update a patron
+ *     tags: [Patrons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Patron updated successfully
+ *       404:
+ *         description: Patron not found
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.put('/:id', authorize('admin', 'librarian'), patronsController.updatePatron);
+
+/**
+ * @swagger
+ * /patrons/{id}/status:
+ *   patch:
+ *     summary: Update patron status
+ *     tags: [Patrons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [active, suspended, expired]
+ *     responses:
+ *       200:
+ *         description: Status updated
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.patch('/:id/status', authorize('admin', 'librarian'), patronsController.updatePatronStatus);
+
+/**
+ * @swagger
+ * /patrons/{id}/renew:
+ *   patch:
+ *     summary: Renew patron membership
+ *     tags: [Patrons]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Membership renewed
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.patch('/:id/renew', authorize('admin', 'librarian'), validate(patronRules.renewMembership), patronsController.renewMembership);
+
+/**
+ * @swagger
+ * /patrons/{id}:
+ *   delete:
+ *     summary: Delete a patron
+ *     tags: [Patrons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Patron deleted successfully
+ *       404:
+ *         description: Patron not found
+ *       409:
+ *         description: Patron has active loans, open holds or an outstanding balance (code PATRON_HAS_DEPENDENCIES, with the counts in details)
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.delete('/:id', authorize('admin'), patronsController.deletePatron);
+
+module.exports = router;
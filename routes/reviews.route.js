@@ -0,0 +1,181 @@
+const express = require('express');
+const router = express.Router();
+const reviewsController = require('../controllers/reviews.controller.js');
+const { authorize } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const reviewRules = require('../validators/reviews.validator.js');
+
+/**
+ * @swagger
+ * /reviews:
+ *   get:
+ *     summary: Get reviews across all books for moderation
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Success
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.get('/', authorize('admin', 'librarian'), validate(reviewRules.getAllReviews), reviewsController.getAllReviews);
+
+/**
+ * @swagger
+ * /reviews/book/{bookId}:
+ *   get:
+ *     summary: Get approved reviews for a book
+ *     tags: [Reviews]
+ *     responses:
+ *       200:
+ *         description: Success
+ *       404:
+ *         description: Book not found
+ */
+router.get('/book/:bookId', validate(reviewRules.getBookReviews), reviewsController.getBookReviews);
+
+/**
+ * @swagger
+ * /reviews:
+ *   post:
+ *     summary: Review a book (one review per user per book)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - bookId
+ *               - rating
+ *             properties:
+ *               bookId:
+ *                 type: string
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               title:
+ *                 type: string
+ *               text:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Review created successfully
+ *       400:
+ *         description: Invalid data or book already reviewed
+ *       401:
+ *         description: Authentication required
+ *       404:
+ *         description: Book not found
+ */
+router.post('/', authorize('admin', 'librarian', 'patron'), reviewsController.createReview);
+
+/**
+ * @swagger
+ * /reviews/{id}:
+ *   put:
+ *     summary: Update your own review
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               title:
+ *                 type: string
+ *               text:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review updated successfully
+ *       403:
+ *         description: Not the review author
+ *       404:
+ *         description: Review not found
+ */
+router.put('/:id', authorize('admin', 'librarian', 'patron'), reviewsController.updateReview);
+
+/**
+ * @swagger
+ * /reviews/{id}/moderate:
+ *   patch:
+ *     summary: Approve or reject a review
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [approved, pending, rejected]
+ *               moderationNote:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review moderated
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Review not found
+ */
+router.patch('/:id/moderate', authorize('admin', 'librarian'), reviewsController.moderateReview);
+
+/**
+ * @swagger
+ * /reviews/{id}:
+ *   delete:
+ *     summary: Delete a review
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Review deleted successfully
+ *       403:
+ *         description: Not the review author or staff
+ *       404:
+ *         description: Review not found
+ */
+router.delete('/:id', authorize('admin', 'librarian', 'patron'), reviewsController.deleteReview);
+
+module.exports = router;
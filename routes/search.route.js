@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/search.controller.js');
+const { validate } = require('../middleware/validate.js');
+const searchRules = require('../validators/search.validator.js');
+
+/**
+ * @swagger
+ * /search:
+ *   get:
+ *     summary: Search books, authors and categories together
+ *     description: Results of every type are ranked together by relevance. Matching ignores case and accents and tolerates small typos in titles and names. Each result has highlights, HTML snippets with the matching words wrapped in mark tags (other text is escaped).
+ *     tags: [Search]
+ *     responses:
+ *       200:
+ *         description: Success
+ */
+router.get('/', validate(searchRules.search), searchController.search);
+
+/**
+ * @swagger
+ * /search/autocomplete:
+ *   get:
+ *     summary: Autocomplete suggestions for a search box
+ *     description: Like GET /search, but the last word is matched as a prefix and only the title or name of each result is returned.
+ *     tags: [Search]
+ *     responses:
+ *       200:
+ *         description: Success
+ */
+router.get('/autocomplete', validate(searchRules.autocomplete), searchController.autocomplete);
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const trashController = require('../controllers/trash.controller.js');
+const { authorize } = require('../middleware/auth.js');
+const { validate } = require('../middleware/validate.js');
+const trashRules = require('../validators/trash.validator.js');
+
+/**
+ * @swagger
+ * /trash:
+ *   get:
+ *     summary: List deleted books, authors or categories
+ *     description: Deleted records are hidden everywhere else until they are restored or purged. Each entry has deletedAt, deletedBy and purgeAt, when it will be permanently deleted (TRASH_RETENTION_DAYS after deletion, 30 by default).
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Success
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.get('/', authorize('admin', 'librarian'), validate(trashRules.getTrash), trashController.getTrash);
+
+/**
+ * @swagger
+ * /trash/purge:
+ *   post:
+ *     summary: Permanently delete everything past the retention period
+ *     description: The server also runs this every TRASH_PURGE_INTERVAL_HOURS (24 by default, 0 turns it off). Books still referenced by loans, and authors or categories with books or child categories (counting those in the trash), are skipped and listed with the reason. Runs in transactions when MongoDB is a replica set.
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: How many records of each kind were purged, and which were skipped
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.post('/purge', authorize('admin'), validate(trashRules.purgeTrash), trashController.purgeTrash);
+
+/**
+ * @swagger
+ * /trash/{type}/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted book, author or category
+ *     description: Restoring an author also restores the books deleted with it. A book whose author, or a category whose parent, is still in the trash can't be restored on its own.
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Restored
+ *       404:
+ *         description: Not in the trash
+ *       409:
+ *         description: The book's author (AUTHOR_IN_TRASH) or the category's parent (PARENT_IN_TRASH) is still in the trash
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.post('/:type/:id/restore', authorize('admin', 'librarian'), validate(trashRules.restoreItem), trashController.restoreItem);
+
+/**
+ * @swagger
+ * /trash/{type}/{id}:
+ *   delete:
+ *     summary: Permanently delete a book, author or category in the trash
+ *     description: A book is deleted with its copies, reviews and holds. Runs in a transaction when MongoDB is a replica set.
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permanently deleted
+ *       400:
+ *         description: Still referenced (BOOK_HAS_DEPENDENCIES, AUTHOR_HAS_BOOKS or CATEGORY_NOT_EMPTY)
+ *       404:
+ *         description: Not in the trash
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient role
+ */
+router.delete('/:type/:id', authorize('admin'), validate(trashRules.purgeItem), trashController.purgeItem);
+
+module.exports = router;
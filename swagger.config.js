@@ -1,4 +1,18 @@
 const swaggerJsdoc = require('swagger-jsdoc');
+const { documentRules } = require('./middleware/validate.js');
+const bookRules = require('./validators/books.validator.js');
+const authorRules = require('./validators/authors.validator.js');
+const categoryRules = require('./validators/categories.validator.js');
+const searchRules = require('./validators/search.validator.js');
+const trashRules = require('./validators/trash.validator.js');
+const auditRules = require('./validators/audit.validator.js');
+const marcRules = require('./validators/marc.validator.js');
+const patronRules = require('./validators/patrons.validator.js');
+const loanRules = require('./validators/loans.validator.js');
+const holdRules = require('./validators/holds.validator.js');
+const fineRules = require('./validators/fines.validator.js');
+const itemRules = require('./validators/items.validator.js');
+const reviewRules = require('./validators/reviews.validator.js');
 
 const options = {
   definition: {
@@ -14,6 +28,34 @@ const options = {
         description: 'Primary API server',
       },
     ],
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Access token from POST /auth/login or POST /auth/refresh',
+        },
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          description: 'Body of every error response',
+          properties: {
+            success: { type: 'boolean', example: false },
+            code: {
+              type: 'string',
+              description: 'Stable machine-readable error code, e.g. NOT_FOUND, INVALID_ID, VALIDATION_FAILED, DUPLICATE_KEY',
+              example: 'VALIDATION_FAILED',
+            },
+            message: { type: 'string' },
+            details: {
+              description: 'Extra context; for VALIDATION_FAILED a list of { field, message }',
+            },
+          },
+        },
+      },
+    },
   },
   apis: [
     './routes/*.js',
@@ -21,6 +63,11 @@ const options = {
   ],
 };
 
-const swaggerSpec = swaggerJsdoc(options);
+// Parameters and request bodies for these routes come from their validation rules
+const swaggerSpec = documentRules(
+  swaggerJsdoc(options),
+  bookRules, authorRules, categoryRules, searchRules, trashRules, auditRules, marcRules,
+  patronRules, loanRules, holdRules, fineRules, itemRules, reviewRules
+);
 
 module.exports = swaggerSpec;
@@ -0,0 +1,125 @@
+const AuditLog = require('../models/AuditLog.js');
+const { currentRequest } = require('../middleware/requestContext.js');
+
+// Audit trail for catalog records. The auditable() plugin records an
+// AuditLog entry with a before/after diff of the top-level fields for every
+// write, whether it goes through save() or a query such as
+// findByIdAndUpdate or updateMany, which skip document middleware. Records
+// are read back from the collection around the write; entries join the
+// write's session so a rolled-back transaction leaves no trace.
+//
+// Actor and request ID come from the request being handled (see
+// middleware/requestContext.js); writes made outside a request, such as
+// the scheduled trash purge, are recorded with a null actor.
+
+// Bookkeeping fields that would only add noise
+const IGNORED = ['_id', '__v', 'createdAt', 'updatedAt', 'searchTerms', 'searchGrams'];
+
+const SINGLE_QUERIES = ['findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete', 'updateOne', 'replaceOne', 'deleteOne'];
+const MULTI_QUERIES = ['updateMany', 'deleteMany'];
+
+// Before snapshots of the documents a query is about to change
+const pendingQueries = new WeakMap();
+
+// ObjectIds and dates compare by their JSON form; null and missing are the same
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Changed top-level fields between two raw documents (either may be null)
+const diff = (before, after) => {
+  const paths = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  for (const path of paths) {
+    if (IGNORED.includes(path)) continue;
+    const old = before ? before[path] : undefined;
+    const current = after ? after[path] : undefined;
+    if (!sameValue(old, current)) changes.push({ path, before: old, after: current });
+  }
+
+  return changes;
+};
+
+const classify = (before, after) => {
+  if (!before) return 'create';
+  if (!after) return 'purge';
+  if (!before.deletedAt && after.deletedAt) return 'delete';
+  if (before.deletedAt && !after.deletedAt) return 'restore';
+  return 'update';
+};
+
+// Record the changes from before to after snapshots, matched by _id
+const record = async (resource, befores, afters, session) => {
+  const beforeById = new Map(befores.map(doc => [String(doc._id), doc]));
+  const afterById = new Map(afters.map(doc => [String(doc._id), doc]));
+  const ids = new Set([...beforeById.keys(), ...afterById.keys()]);
+  const req = currentRequest();
+
+  const entries = [];
+  for (const id of ids) {
+    const before = beforeById.get(id) || null;
+    const after = afterById.get(id) || null;
+    const changes = diff(before, after);
+    if (changes.length === 0) continue;
+
+    entries.push({
+      resource,
+      documentId: (before || after)._id,
+      action: classify(before, after),
+      actor: req && req.user ? req.user._id : null,
+      requestId: req ? req.id : null,
+      method: req ? req.method : null,
+      path: req ? req.originalUrl : null,
+      changes
+    });
+  }
+
+  if (entries.length > 0) {
+    await AuditLog.insertMany(entries, { session });
+  }
+};
+
+const auditable = (schema) => {
+  schema.pre('save', async function() {
+    this.$locals.auditBefore = this.isNew
+      ? null
+      : await this.collection.findOne({ _id: this._id }, { session: this.$session() || undefined });
+  });
+
+  schema.post('save', async function() {
+    const session = this.$session() || undefined;
+    const after = await this.collection.findOne({ _id: this._id }, { session });
+    const before = this.$locals.auditBefore;
+    delete this.$locals.auditBefore;
+
+    await record(this.constructor.modelName, before ? [before] : [], after ? [after] : [], session);
+  });
+
+  // Snapshot what the query will touch, using its filter after soft delete
+  // and any other plugins have had their say
+  schema.pre([...SINGLE_QUERIES, ...MULTI_QUERIES], { document: false, query: true }, async function() {
+    const { session, sort } = this.getOptions();
+    const filter = this.cast(this.model, this.getFilter());
+    const cursor = this.model.collection.find(filter, { session, sort });
+    if (SINGLE_QUERIES.includes(this.op)) cursor.limit(1);
+
+    pendingQueries.set(this, await cursor.toArray());
+  });
+
+  schema.post([...SINGLE_QUERIES, ...MULTI_QUERIES], { document: false, query: true }, async function(result) {
+    const befores = pendingQueries.get(this);
+    if (!befores) return;
+    pendingQueries.delete(this);
+
+    const { session } = this.getOptions();
+    const ids = befores.map(doc => doc._id);
+    if (result && result.upsertedId) ids.push(result.upsertedId);
+
+    const afters = ids.length > 0
+      ? await this.model.collection.find({ _id: { $in: ids } }, { session }).toArray()
+      : [];
+
+    await record(this.model.modelName, befores, afters, session);
+  });
+};
+
+module.exports = { auditable };
@@ -0,0 +1,134 @@
+const { fold, editDistance } = require('./search.js');
+
+// Author name handling shared by MARC import/export and duplicate detection
+
+const INVERTED = /^([^,]+),\s*(.+)$/;
+
+// "Tolkien, J.R.R." -> "J.R.R. Tolkien"
+const displayName = (name) => {
+  const inverted = name.match(INVERTED);
+  return inverted ? `${inverted[2]} ${inverted[1]}` : name;
+};
+
+// The inverted form MARC expects in 100 $a: "J.R.R. Tolkien" -> "Tolkien, J.R.R."
+const headingName = (name) => {
+  if (!name || name.includes(',')) return name;
+  const parts = name.trim().split(/\s+/);
+  return parts.length > 1 ? `${parts.pop()}, ${parts.join(' ')}` : name;
+};
+
+// Folded name parts in display order, initials split out:
+// "Tolkien, J.R.R." -> ["j", "r", "r", "tolkien"]
+const nameParts = (name) => Array.from(displayName(String(name ?? '')).matchAll(/[\p{L}\p{N}]+/gu), match => fold(match[0]));
+
+const normalizeEmail = (email) => (email ? String(email).trim().toLowerCase() : null);
+
+// "https://www.Example.com/about/" -> "example.com/about"
+const normalizeWebsite = (website) => {
+  if (!website) return null;
+  const normalized = String(website).trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/\/+$/, '');
+  return normalized || null;
+};
+
+// Same number of parts, each equal or an initial of the other, and at least
+// one full part in common: "J. R. R. Tolkien" ~ "John Ronald Reuel Tolkien"
+const initialsMatch = (a, b) => a.length === b.length
+  && a.some((part, index) => part.length > 1 && part === b[index])
+  && a.every((part, index) => {
+    const other = b[index];
+    if (part === other) return true;
+    return (part.length === 1 && other.startsWith(part)) || (other.length === 1 && part.startsWith(other));
+  });
+
+// How likely two authors are the same person, from 0 to 1, with the reasons.
+// The strongest signal sets the score; each further one adds a little.
+const compareAuthors = (a, b) => {
+  const signals = [];
+
+  const partsA = nameParts(a.name);
+  const partsB = nameParts(b.name);
+  const keyA = [...partsA].sort().join(' ');
+  const keyB = [...partsB].sort().join(' ');
+
+  if (keyA && keyA === keyB) {
+    signals.push({ score: 0.95, reason: 'Same name ignoring case, accents, punctuation and word order' });
+  } else if (initialsMatch(partsA, partsB)) {
+    signals.push({ score: 0.85, reason: 'Names match up to initials' });
+  } else if (keyA && keyB) {
+    const longest = Math.max(keyA.length, keyB.length);
+    const allowed = Math.floor(longest * 0.2);
+    const distance = editDistance(keyA, keyB, allowed);
+    if (allowed > 0 && distance <= allowed) {
+      signals.push({ score: 0.8 * (1 - distance / longest), reason: 'Similar names' });
+    }
+  }
+
+  const email = normalizeEmail(a.email);
+  if (email && email === normalizeEmail(b.email)) {
+    signals.push({ score: 0.9, reason: 'Same email' });
+  }
+
+  const website = normalizeWebsite(a.website);
+  if (website && website === normalizeWebsite(b.website)) {
+    signals.push({ score: 0.75, reason: 'Same website' });
+  }
+
+  if (signals.length === 0) return { score: 0, reasons: [] };
+
+  signals.sort((x, y) => y.score - x.score);
+  const score = Math.min(1, signals[0].score + 0.05 * (signals.length - 1));
+
+  return { score: Math.round(score * 100) / 100, reasons: signals.map(signal => signal.reason) };
+};
+
+// Keys an author is compared under, so not every pair has to be checked:
+// the start of their longest name part, their email and their website
+const blockingKeys = (author) => {
+  const keys = [];
+  const longest = nameParts(author.name).reduce((best, part) => (part.length > best.length ? part : best), '');
+  if (longest) keys.push(`name:${longest.slice(0, 3)}`);
+  const email = normalizeEmail(author.email);
+  if (email) keys.push(`email:${email}`);
+  const website = normalizeWebsite(author.website);
+  if (website) keys.push(`website:${website}`);
+  return keys;
+};
+
+// Likely duplicate pairs among authors ({ _id, name, email, website }),
+// best first: [{ authors: [a, b], score, reasons }]
+const findDuplicateAuthors = (authors, { minScore = 0.7 } = {}) => {
+  const blocks = new Map();
+  for (const author of authors) {
+    for (const key of blockingKeys(author)) {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(author);
+    }
+  }
+
+  const seen = new Set();
+  const pairs = [];
+  for (const block of blocks.values()) {
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const pairKey = [String(block[i]._id), String(block[j]._id)].sort().join(':');
+        if (seen.has(pairKey)) continue;
+        seen.add(pairKey);
+
+        const { score, reasons } = compareAuthors(block[i], block[j]);
+        if (score >= minScore) pairs.push({ authors: [block[i], block[j]], score, reasons });
+      }
+    }
+  }
+
+  return pairs.sort((x, y) => y.score - x.score);
+};
+
+module.exports = {
+  displayName,
+  headingName,
+  compareAuthors,
+  findDuplicateAuthors
+};
@@ -0,0 +1,76 @@
+// Errors controllers throw to end a request with a specific status. The
+// error middleware (middleware/error.js) turns them into JSON responses of
+// the form { success: false, code, message, details? }. `code` is a stable,
+// machine-readable identifier clients can branch on; `message` is for people.
+
+class AppError extends Error {
+  constructor(message, status = 500, code = 'INTERNAL_ERROR', details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message, code = 'BAD_REQUEST', details) {
+    super(message, 400, code, details);
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message, code = 'UNAUTHORIZED', details) {
+    super(message, 401, code, details);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message, code = 'FORBIDDEN', details) {
+    super(message, 403, code, details);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, code = 'NOT_FOUND', details) {
+    super(message, 404, code, details);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, code = 'CONFLICT', details) {
+    super(message, 409, code, details);
+  }
+}
+
+// An If-Match header no longer matches the resource's ETag
+class PreconditionFailedError extends AppError {
+  constructor(message, code = 'PRECONDITION_FAILED', details) {
+    super(message, 412, code, details);
+  }
+}
+
+class PreconditionRequiredError extends AppError {
+  constructor(message, code = 'PRECONDITION_REQUIRED', details) {
+    super(message, 428, code, details);
+  }
+}
+
+// `details` is a list of { field, message } entries
+class ValidationError extends AppError {
+  constructor(message, details = [], code = 'VALIDATION_FAILED') {
+    super(message, 422, code, details);
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  PreconditionRequiredError,
+  ValidationError
+};
@@ -0,0 +1,85 @@
+// Quote a CSV cell. Cells that a spreadsheet would treat as a formula are
+// prefixed with a quote so exported data can't run anything when opened.
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Formats we can stream and the response headers for each
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+exports.resolveFormat = (format = 'csv') => {
+  const normalized = String(format).toLowerCase();
+  if (normalized === 'jsonl') return 'ndjson';
+  return FORMATS[normalized] ? normalized : null;
+};
+
+// A write(chunk) for streaming to res that waits out backpressure. A client
+// that disconnects meanwhile never drains the response, so closing (or
+// failing) ends the wait too.
+const responseWriter = (res) => {
+  const drained = () => new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      res.off('error', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+    res.on('error', done);
+  });
+
+  return async (chunk) => {
+    if (!res.write(chunk) && !res.destroyed) await drained();
+  };
+};
+
+exports.responseWriter = responseWriter;
+
+// Stream every document from a mongoose cursor to the response as CSV or
+// NDJSON, one row at a time, honouring backpressure so memory stays flat no
+// matter how many documents are exported. `columns` is a list of
+// { header, value: doc => any } describing the flattened row.
+exports.streamExport = async (res, cursor, { format, columns, filename }) => {
+  const { contentType, extension } = FORMATS[format];
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+
+  let aborted = false;
+  res.on('close', () => { aborted = !res.writableFinished; });
+
+  const write = responseWriter(res);
+
+  try {
+    if (format === 'csv') {
+      // Byte order mark so Excel opens the file as UTF-8
+      await write('\uFEFF' + columns.map(column => csvCell(column.header)).join(',') + '\r\n');
+    }
+
+    for await (const doc of cursor) {
+      if (aborted || res.destroyed) break;
+
+      if (format === 'csv') {
+        await write(columns.map(column => csvCell(column.value(doc))).join(',') + '\r\n');
+      } else {
+        const row = {};
+        for (const column of columns) {
+          const value = column.value(doc);
+          row[column.header] = value === undefined ? null : value;
+        }
+        await write(JSON.stringify(row) + '\n');
+      }
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  if (!aborted && !res.destroyed) res.end();
+};
@@ -0,0 +1,28 @@
+// Per-entry error reports for the bulk importers (CSV/JSON rows and MARC
+// records). Mongoose validation messages describe the uploaded data and are
+// passed on; anything else is a database or driver error, whose details
+// stay in the server log.
+
+// Errors for an entry that failed unexpectedly. entry ("row 3", "record 3")
+// names it in the log.
+const failureErrors = (entry, error) => {
+  if (error.code === 11000) {
+    return [{ field: Object.keys(error.keyValue || {})[0] || null, message: 'Duplicate value' }];
+  }
+  console.error(`Import ${entry} failed: ${error.message}`);
+  return [{ field: null, message: `The ${entry.split(' ')[0]} could not be imported` }];
+};
+
+// Flatten a mongoose ValidationError into per-field errors, with prefix
+// on each field name ("author.")
+const validationErrors = (entry, error, prefix = '') => {
+  if (error.name !== 'ValidationError') {
+    return failureErrors(entry, error);
+  }
+  return Object.values(error.errors).map(fieldError => ({
+    field: prefix + fieldError.path,
+    message: fieldError.message
+  }));
+};
+
+module.exports = { failureErrors, validationErrors };
@@ -0,0 +1,44 @@
+// ISBN-10 and ISBN-13 helpers. Books store the canonical ISBN-13 so the same
+// edition can't be catalogued twice under its two forms.
+
+// Strip hyphens and spaces and upper-case a trailing "x"
+const compact = (value) => String(value).replace(/[\s-]/g, '').toUpperCase();
+
+const isValidIsbn10 = (isbn) => {
+  if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+  const sum = isbn.split('').reduce((total, char, index) =>
+    total + (char === 'X' ? 10 : Number(char)) * (10 - index), 0);
+  return sum % 11 === 0;
+};
+
+const isbn13CheckDigit = (first12) => {
+  const sum = first12.split('').reduce((total, char, index) =>
+    total + Number(char) * (index % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+const isValidIsbn13 = (isbn) => /^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn.slice(0, 12)) === isbn[12];
+
+// Return the canonical ISBN-13 for an ISBN-10 or ISBN-13 in any common
+// notation, or null when it isn't a valid ISBN
+const toIsbn13 = (value) => {
+  if (value === undefined || value === null) return null;
+  const isbn = compact(value);
+  if (isValidIsbn13(isbn)) return isbn;
+  if (isValidIsbn10(isbn)) {
+    const first12 = '978' + isbn.slice(0, 9);
+    return first12 + isbn13CheckDigit(first12);
+  }
+  return null;
+};
+
+// The ISBN-10 form of a 978-prefixed ISBN-13, or null when there is none
+const toIsbn10 = (isbn13) => {
+  if (!/^978\d{10}$/.test(isbn13)) return null;
+  const first9 = isbn13.slice(3, 12);
+  const sum = first9.split('').reduce((total, char, index) => total + Number(char) * (10 - index), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return first9 + (check === 10 ? 'X' : String(check));
+};
+
+module.exports = { compact, isValidIsbn10, isValidIsbn13, toIsbn13, toIsbn10 };
@@ -0,0 +1,286 @@
+const { XMLParser } = require('fast-xml-parser');
+const { toIsbn13 } = require('./isbn.js');
+
+// ISO 2709 structural characters
+const SUBFIELD_DELIMITER = 0x1f;
+const FIELD_TERMINATOR = 0x1e;
+const RECORD_TERMINATOR = 0x1d;
+
+const DEFAULT_LEADER = '00000nam a2200000 i 4500';
+
+// Tags we map to Book/Author fields. Everything else is kept verbatim.
+const MAPPED_TAGS = ['020', '041', '100', '245', '260', '264', '300', '520'];
+
+// MARC language codes (041/008) for the languages we see most
+const LANGUAGE_CODES = {
+  eng: 'English',
+  fre: 'French',
+  ger: 'German',
+  spa: 'Spanish',
+  ita: 'Italian',
+  por: 'Portuguese',
+  rus: 'Russian',
+  jpn: 'Japanese',
+  chi: 'Chinese',
+  kor: 'Korean',
+  vie: 'Vietnamese',
+  ara: 'Arabic',
+  dut: 'Dutch',
+  swe: 'Swedish',
+  pol: 'Polish'
+};
+
+const isControlTag = (tag) => tag < '010';
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Strip the ISBD punctuation cataloguers leave at the end of subfields
+const clean = (value) => value === undefined || value === null
+  ? undefined
+  : String(value).replace(/\s*[\/:;,=]\s*$/, '').replace(/([^.])\.$/, '$1').trim() || undefined;
+
+const getField = (record, tag) => record.fields.find(field => field.tag === tag);
+
+const getSubfield = (field, code) => {
+  const subfield = field && field.subfields && field.subfields.find(sub => sub.code === code);
+  return subfield ? subfield.value : undefined;
+};
+
+const dataField = (tag, ind1, ind2, subfields) => ({
+  tag,
+  ind1,
+  ind2,
+  subfields: subfields
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([code, value]) => ({ code, value: String(value) }))
+});
+
+// Parse a buffer of one or more ISO 2709 records into
+// [{ leader, fields: [{ tag, value } | { tag, ind1, ind2, subfields: [{ code, value }] }] }]
+exports.parseIso2709 = (buffer) => {
+  const records = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const end = buffer.indexOf(RECORD_TERMINATOR, offset);
+    const chunk = buffer.subarray(offset, end === -1 ? buffer.length : end + 1);
+    offset = end === -1 ? buffer.length : end + 1;
+
+    // Tolerate line breaks some tools put between records
+    const start = chunk.findIndex(byte => byte !== 0x0a && byte !== 0x0d && byte !== 0x20);
+    if (start === -1) continue;
+    const raw = chunk.subarray(start);
+
+    const index = records.length + 1;
+    if (raw.length < 24) {
+      throw new Error(`Record ${index} is too short to contain a leader`);
+    }
+
+    const leader = raw.subarray(0, 24).toString('latin1');
+    const baseAddress = parseInt(leader.slice(12, 17), 10);
+    if (isNaN(baseAddress) || baseAddress > raw.length) {
+      throw new Error(`Record ${index} has an invalid base address`);
+    }
+
+    const directory = raw.subarray(24, baseAddress - 1).toString('latin1');
+    const fields = [];
+
+    for (let pos = 0; pos + 12 <= directory.length; pos += 12) {
+      const tag = directory.slice(pos, pos + 3);
+      const length = parseInt(directory.slice(pos + 3, pos + 7), 10);
+      const fieldStart = parseInt(directory.slice(pos + 7, pos + 12), 10);
+      let data = raw.subarray(baseAddress + fieldStart, baseAddress + fieldStart + length);
+      if (data[data.length - 1] === FIELD_TERMINATOR) data = data.subarray(0, data.length - 1);
+
+      if (isControlTag(tag)) {
+        fields.push({ tag, value: data.toString('utf8') });
+        continue;
+      }
+
+      const text = data.toString('utf8');
+      const parts = text.split(String.fromCharCode(SUBFIELD_DELIMITER));
+      const indicators = parts.shift() || '';
+      fields.push({
+        tag,
+        ind1: indicators[0] || ' ',
+        ind2: indicators[1] || ' ',
+        subfields: parts.filter(Boolean).map(part => ({ code: part[0], value: part.slice(1) }))
+      });
+    }
+
+    records.push({ leader, fields });
+  }
+
+  return records;
+};
+
+// Serialize one record to ISO 2709, always as UTF-8 (leader/09 = "a")
+exports.serializeIso2709 = (record) => {
+  const fieldBuffers = record.fields.map(field => {
+    const body = isControlTag(field.tag)
+      ? field.value
+      : (field.ind1 || ' ') + (field.ind2 || ' ') +
+        field.subfields.map(sub => String.fromCharCode(SUBFIELD_DELIMITER) + sub.code + sub.value).join('');
+    return Buffer.concat([Buffer.from(body, 'utf8'), Buffer.from([FIELD_TERMINATOR])]);
+  });
+
+  let directory = '';
+  let position = 0;
+  record.fields.forEach((field, i) => {
+    directory += field.tag + String(fieldBuffers[i].length).padStart(4, '0') + String(position).padStart(5, '0');
+    position += fieldBuffers[i].length;
+  });
+
+  const directoryBuffer = Buffer.concat([Buffer.from(directory, 'latin1'), Buffer.from([FIELD_TERMINATOR])]);
+  const baseAddress = 24 + directoryBuffer.length;
+  const recordLength = baseAddress + position + 1;
+
+  const leaderSource = (record.leader || DEFAULT_LEADER).padEnd(24, ' ');
+  const leader = String(recordLength).padStart(5, '0') +
+    leaderSource.slice(5, 9) + 'a' + '22' +
+    String(baseAddress).padStart(5, '0') +
+    leaderSource.slice(17, 20) + '4500';
+
+  return Buffer.concat([
+    Buffer.from(leader, 'latin1'),
+    directoryBuffer,
+    ...fieldBuffers,
+    Buffer.from([RECORD_TERMINATOR])
+  ]);
+};
+
+// Parse a MARCXML <collection> or single <record> document
+exports.parseMarcXml = (text) => {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    textNodeName: 'value',
+    removeNSPrefix: true,
+    parseTagValue: false,
+    trimValues: false,
+    isArray: name => ['record', 'controlfield', 'datafield', 'subfield'].includes(name)
+  });
+
+  const document = parser.parse(text);
+  const records = document.collection ? document.collection.record : document.record;
+
+  if (!Array.isArray(records)) {
+    throw new Error('Document does not contain any MARCXML <record> elements');
+  }
+
+  return records.map(record => ({
+    leader: typeof record.leader === 'string' ? record.leader : DEFAULT_LEADER,
+    fields: [
+      ...(record.controlfield || []).map(field => ({ tag: field.tag, value: field.value || '' })),
+      ...(record.datafield || []).map(field => ({
+        tag: field.tag,
+        ind1: field.ind1 || ' ',
+        ind2: field.ind2 || ' ',
+        subfields: (field.subfield || []).map(sub => ({ code: sub.code, value: sub.value || '' }))
+      }))
+    ]
+  }));
+};
+
+// Serialize one record as a MARCXML <record> element
+exports.serializeMarcXmlRecord = (record) => {
+  const lines = ['  <record>', `    <leader>${escapeXml(record.leader || DEFAULT_LEADER)}</leader>`];
+
+  for (const field of record.fields) {
+    if (isControlTag(field.tag)) {
+      lines.push(`    <controlfield tag="${field.tag}">${escapeXml(field.value)}</controlfield>`);
+      continue;
+    }
+    lines.push(`    <datafield tag="${field.tag}" ind1="${escapeXml(field.ind1 || ' ')}" ind2="${escapeXml(field.ind2 || ' ')}">`);
+    for (const sub of field.subfields) {
+      lines.push(`      <subfield code="${escapeXml(sub.code)}">${escapeXml(sub.value)}</subfield>`);
+    }
+    lines.push('    </datafield>');
+  }
+
+  lines.push('  </record>');
+  return lines.join('\n') + '\n';
+};
+
+exports.MARCXML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>\n<collection xmlns="http://www.loc.gov/MARC21/slim">\n';
+exports.MARCXML_FOOTER = '</collection>\n';
+
+// Extract the Book/Author values we map from a record
+exports.recordToBook = (record) => {
+  const book = {};
+
+  const isbn = getSubfield(getField(record, '020'), 'a');
+  if (isbn) {
+    const match = isbn.match(/[\dXx][\dXx\s-]*/);
+    if (match) book.isbn = match[0].replace(/[\s-]/g, '').toUpperCase();
+  }
+
+  const titleField = getField(record, '245');
+  const title = [getSubfield(titleField, 'a'), getSubfield(titleField, 'b')].map(clean).filter(Boolean).join(' : ');
+  if (title) book.title = title;
+
+  // Prefer 264 with second indicator 1 (publication) over the older 260
+  const publication = record.fields.find(field => field.tag === '264' && field.ind2 === '1') || getField(record, '260');
+  const publisher = clean(getSubfield(publication, 'b'));
+  if (publisher) book.publisher = publisher;
+  const year = (getSubfield(publication, 'c') || '').match(/\d{4}/);
+  if (year) book.publishedDate = new Date(Date.UTC(parseInt(year[0], 10), 0, 1));
+
+  const pages = (getSubfield(getField(record, '300'), 'a') || '').match(/\d+/);
+  if (pages) book.pages = parseInt(pages[0], 10);
+
+  const fixedData = (getField(record, '008') || {}).value || '';
+  const languageCode = getSubfield(getField(record, '041'), 'a') || fixedData.slice(35, 38).trim();
+  if (languageCode && LANGUAGE_CODES[languageCode]) book.language = LANGUAGE_CODES[languageCode];
+
+  const description = getSubfield(getField(record, '520'), 'a');
+  if (description) book.description = description.trim();
+
+  const authorName = clean(getSubfield(getField(record, '100'), 'a'));
+
+  return { book, authorName };
+};
+
+// Build a record for a book. When the book carries the record it was
+// imported from, every field we don't map is written back unchanged, and
+// mapped fields whose values haven't changed keep their original form.
+exports.bookToRecord = (book, authorName) => {
+  const original = book.marc && Array.isArray(book.marc.fields)
+    ? { leader: book.marc.leader, fields: book.marc.fields }
+    : { leader: DEFAULT_LEADER, fields: [] };
+  const originalValues = exports.recordToBook(original);
+
+  const fields = original.fields.filter(field => !MAPPED_TAGS.includes(field.tag));
+  const keep = (tag, unchanged) => unchanged && original.fields.filter(field => field.tag === tag);
+
+  const year = book.publishedDate ? new Date(book.publishedDate).getUTCFullYear() : undefined;
+  const languageCode = Object.keys(LANGUAGE_CODES).find(code => LANGUAGE_CODES[code] === book.language);
+  const sameYear = (originalValues.book.publishedDate && originalValues.book.publishedDate.getUTCFullYear()) === year;
+
+  const mapped = [
+    keep('020', toIsbn13(originalValues.book.isbn) === toIsbn13(book.isbn)) ||
+      (book.isbn ? [dataField('020', ' ', ' ', [['a', book.isbn]])] : []),
+    keep('041', originalValues.book.language === book.language) ||
+      (languageCode ? [dataField('041', '0', ' ', [['a', languageCode]])] : []),
+    keep('100', originalValues.authorName === authorName) ||
+      (authorName ? [dataField('100', '1', ' ', [['a', authorName]])] : []),
+    keep('245', originalValues.book.title === book.title) ||
+      [dataField('245', '0', '0', [['a', book.title]])],
+    (originalValues.book.publisher === book.publisher && sameYear)
+      ? original.fields.filter(field => field.tag === '260' || field.tag === '264')
+      : (book.publisher || year ? [dataField('264', ' ', '1', [['b', book.publisher], ['c', year]])] : []),
+    keep('300', originalValues.book.pages === book.pages) ||
+      (book.pages ? [dataField('300', ' ', ' ', [['a', `${book.pages} p.`]])] : []),
+    keep('520', originalValues.book.description === book.description) ||
+      (book.description ? [dataField('520', ' ', ' ', [['a', book.description]])] : [])
+  ].flat();
+
+  // Control fields first, then data fields in tag order, as MARC expects
+  const allFields = [...fields, ...mapped].sort((a, b) => (a.tag < b.tag ? -1 : a.tag > b.tag ? 1 : 0));
+
+  return { leader: original.leader || DEFAULT_LEADER, fields: allFields };
+};
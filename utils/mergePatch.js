@@ -0,0 +1,29 @@
+// JSON Merge Patch (RFC 7396) as a MongoDB update: null removes a field,
+// objects merge into the stored object field by field, and anything else,
+// arrays included, replaces the stored value.
+//
+//   { price: 12, description: null, dimensions: { height: 20 } }
+//   -> { $set: { price: 12, 'dimensions.height': 20 }, $unset: { description: 1 } }
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+const collect = (patch, prefix, update) => {
+  for (const [key, value] of Object.entries(patch)) {
+    const path = `${prefix}${key}`;
+    if (value === null) {
+      update.$unset[path] = 1;
+    } else if (isPlainObject(value)) {
+      collect(value, `${path}.`, update);
+    } else {
+      update.$set[path] = value;
+    }
+  }
+  return update;
+};
+
+exports.toMergeUpdate = (patch) => {
+  const update = collect(patch, '', { $set: {}, $unset: {} });
+  if (Object.keys(update.$set).length === 0) delete update.$set;
+  if (Object.keys(update.$unset).length === 0) delete update.$unset;
+  return update;
+};
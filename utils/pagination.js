@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const { BadRequestError } = require('./errors.js');
+
+// Keyset ("cursor") pagination on one or more sort fields plus _id as
+// tie-breaker. Cursors are opaque base64url strings; clients pass
+// nextCursor back as ?after= and prevCursor as ?before=. Unlike skip/limit,
+// a cursor page costs the same at any depth and doesn't shift when
+// documents are added.
+
+// "rating:-1,title:1" identifies the sort a cursor was issued for
+const sortSignature = (keys) => keys.map(([field, direction]) => `${field}:${direction}`).join(',');
+
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  return value === undefined ? null : value;
+};
+
+const SCALAR_TYPES = ['string', 'number', 'boolean'];
+
+// Cursor values end up in equality and $gt/$lt conditions, and clients can
+// craft cursors, so only scalars and { $date } are accepted; an object such
+// as { $ne: null } would otherwise act as a query operator. Returns
+// undefined for anything else.
+const decodeValue = (value) => {
+  if (value === null || SCALAR_TYPES.includes(typeof value)) return value;
+
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === '$date' && typeof value.$date === 'string') {
+      const date = new Date(value.$date);
+      if (!isNaN(date.getTime())) return date;
+    }
+  }
+
+  return undefined;
+};
+
+const encodeCursor = (doc, keys) => {
+  const payload = {
+    s: sortSignature(keys),
+    v: keys.map(([field]) => encodeValue(doc.get ? doc.get(field) : doc[field])),
+    id: String(doc._id)
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor, keys) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new BadRequestError('Invalid pagination cursor', 'INVALID_CURSOR');
+  }
+
+  if (!payload || !mongoose.isValidObjectId(payload.id) || !Array.isArray(payload.v) || payload.v.length !== keys.length) {
+    throw new BadRequestError('Invalid pagination cursor', 'INVALID_CURSOR');
+  }
+  if (payload.s !== sortSignature(keys)) {
+    throw new BadRequestError('Cursor was issued for a different sort order', 'INVALID_CURSOR');
+  }
+
+  const values = payload.v.map(decodeValue);
+  if (values.includes(undefined)) {
+    throw new BadRequestError('Invalid pagination cursor', 'INVALID_CURSOR');
+  }
+
+  return { values, id: new mongoose.Types.ObjectId(payload.id) };
+};
+
+// Condition for a field value strictly beyond `value` when walking in
+// `direction` (1 ascending, -1 descending), or null when nothing can be.
+// MongoDB sorts null and missing values first, which the null branches
+// account for.
+const beyond = (field, direction, value) => {
+  if (value === null) {
+    return direction === 1 ? { [field]: { $ne: null } } : null;
+  }
+  return direction === 1
+    ? { [field]: { $gt: value } }
+    : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Filter for documents that come strictly after the cursor when walking
+// the given keys: the first differing key decides, with _id as the last.
+const afterCondition = (keys, idDirection, { values, id }) => {
+  const branches = [];
+
+  for (let i = 0; i <= keys.length; i++) {
+    const equal = keys.slice(0, i).map(([field], index) => ({ [field]: values[index] }));
+    const next = i < keys.length
+      ? beyond(keys[i][0], keys[i][1], values[i])
+      : { _id: idDirection === 1 ? { $gt: id } : { $lt: id } };
+    if (next) branches.push(equal.length > 0 ? { $and: [...equal, next] } : next);
+  }
+
+  return { $or: branches };
+};
+
+// Run a paginated find. Page-based requests (?page=) keep working; when
+// ?after= or ?before= is given the page number is ignored. Sort either by
+// `sort` ({ rating: -1, title: 1 }) or by sortBy/order. `configure` can
+// add populate/select to the query. Returns the documents and the
+// pagination fields to merge into the response.
+exports.paginate = async (model, filter, options, configure = query => query) => {
+  const { sortBy = '_id', order = 'asc', limit = 10, page = 1, after, before, withTotal = true } = options;
+  const sort = options.sort || { [sortBy]: order === 'asc' ? 1 : -1 };
+  const cursor = after || before;
+
+  if (after && before) {
+    throw new BadRequestError('Pass either after or before, not both', 'INVALID_CURSOR');
+  }
+
+  // _id is always the final key (following the last sort direction unless
+  // given), so it is left out of the cursor's values
+  const keys = Object.entries(sort).filter(([field]) => field !== '_id');
+  const idDirection = sort._id || (keys.length > 0 ? keys[keys.length - 1][1] : 1);
+  // Walking backwards from ?before= is walking forwards in reverse order
+  const walk = before ? -1 : 1;
+  const walkKeys = keys.map(([field, direction]) => [field, direction * walk]);
+
+  let find = filter;
+  if (cursor) {
+    const condition = afterCondition(walkKeys, idDirection * walk, decodeCursor(cursor, keys));
+    find = { ...filter, $and: [...(filter.$and || []), condition] };
+  }
+
+  const querySort = { ...Object.fromEntries(walkKeys), _id: idDirection * walk };
+  let query = model.find(find).sort(querySort).limit(limit + 1);
+  if (!cursor && page > 1) query = query.skip((page - 1) * limit);
+
+  const docs = await configure(query);
+  const hasMore = docs.length > limit;
+  if (hasMore) docs.pop();
+  if (before) docs.reverse();
+
+  const first = docs[0];
+  const last = docs[docs.length - 1];
+  const hasNext = before ? true : hasMore;
+  const hasPrev = before ? hasMore : Boolean(after) || (!cursor && page > 1);
+
+  const meta = {
+    nextCursor: hasNext && last ? encodeCursor(last, keys) : null,
+    prevCursor: hasPrev && first ? encodeCursor(first, keys) : null
+  };
+
+  if (withTotal) {
+    const total = await model.countDocuments(filter);
+    meta.totalPages = Math.ceil(total / limit);
+    meta.total = total;
+  }
+  if (!cursor) meta.currentPage = page;
+
+  return { docs, meta };
+};
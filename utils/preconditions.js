@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const httpConfig = require('../config/http.js');
+const { NotFoundError, PreconditionFailedError, PreconditionRequiredError } = require('./errors.js');
+
+// Optimistic concurrency for single-resource writes. Responses carry a
+// strong ETag derived from the document's updatedAt; a client sends it back
+// in If-Match and the write only goes through if nobody changed the
+// document in between.
+
+// Strong entity tag of a stored document: changes whenever updatedAt does
+const entityTag = (doc) => {
+  const version = `${doc._id}:${new Date(doc.updatedAt).getTime()}`;
+  return `"${crypto.createHash('sha1').update(version).digest('base64url').slice(0, 20)}"`;
+};
+
+const setEntityTag = (res, doc) => {
+  res.set('ETag', entityTag(doc));
+};
+
+// If-Match uses strong comparison, so weak tags (W/"...") never match
+const matchesIfMatch = (header, tag) => header.split(',').some(candidate => {
+  const trimmed = candidate.trim();
+  return trimmed === '*' || trimmed === tag;
+});
+
+// Apply an update to the document at req.params.id, honouring If-Match.
+// The version checked is also pinned in the update's filter, so a change
+// that lands between the check and the write fails the precondition too.
+// `configure` can add populate/select to the update query. Returns the
+// updated document.
+exports.updateWithPreconditions = async (req, model, update, configure = query => query) => {
+  const notFound = `${model.modelName} not found`;
+  const header = req.get('If-Match');
+  const filter = { _id: req.params.id };
+
+  if (!header && httpConfig.requireIfMatch) {
+    throw new PreconditionRequiredError('Send the ETag you last fetched in an If-Match header');
+  }
+
+  if (header) {
+    const current = await model.findById(req.params.id).select('updatedAt').lean();
+    if (!current) {
+      throw new NotFoundError(notFound);
+    }
+    if (!matchesIfMatch(header, entityTag(current))) {
+      throw new PreconditionFailedError(
+        `The ${model.modelName.toLowerCase()} was changed since it was fetched; fetch it again and reapply your changes`,
+        'PRECONDITION_FAILED',
+        { etag: entityTag(current) }
+      );
+    }
+    filter.updatedAt = current.updatedAt;
+  }
+
+  const doc = await configure(model.findOneAndUpdate(filter, update, { new: true, runValidators: true }));
+
+  if (!doc) {
+    throw header
+      ? new PreconditionFailedError(`The ${model.modelName.toLowerCase()} was changed or deleted while updating; fetch it again`)
+      : new NotFoundError(notFound);
+  }
+
+  return doc;
+};
+
+exports.entityTag = entityTag;
+exports.setEntityTag = setEntityTag;
@@ -0,0 +1,190 @@
+const { BadRequestError } = require('./errors.js');
+
+// Shared parsing of list-endpoint query strings:
+//
+//   filters   price[gte]=10&price[lte]=20&language=English&author[in]=id1,id2
+//   sorting   sort=-rating,title
+//   fields    fields=title,isbn,author.name
+//
+// Each resource describes what it allows in a list spec:
+//
+//   {
+//     filters: { price: { type: 'number', operators: ['eq', 'gte', 'lte'] }, ... },
+//     sortable: ['createdAt', 'title', ...],
+//     selectable: ['title', 'isbn', ...],
+//     populated: { author: { fields: ['name', ...], default: 'name nationality' } },
+//     computed: ['totalCopies']          // selectable, but added by the controller
+//   }
+//
+// filterParameters() and listParameters() turn the spec into validator and
+// swagger parameter schemas, so only whitelisted fields and operators get
+// past validate().
+
+const OPERATORS = {
+  eq: { mongo: '$eq', label: 'equals' },
+  ne: { mongo: '$ne', label: 'does not equal' },
+  gt: { mongo: '$gt', label: 'greater than' },
+  gte: { mongo: '$gte', label: 'at least' },
+  lt: { mongo: '$lt', label: 'less than' },
+  lte: { mongo: '$lte', label: 'at most' },
+  in: { mongo: '$in', label: 'is one of (comma-separated)' }
+};
+
+const MAX_SORT_KEYS = 3;
+
+const baseSchema = (filter) => {
+  switch (filter.type) {
+    case 'date':
+      return { type: 'string', format: 'date' };
+    case 'objectId':
+      return { type: 'string', pattern: '^[0-9a-fA-F]{24}$', 'x-pattern-message': 'must be a valid ID' };
+    case 'string':
+      return { type: 'string', maxLength: 200, ...(filter.enum && { enum: filter.enum }) };
+    default:
+      return { type: filter.type };
+  }
+};
+
+const parameterName = (field, operator) => (operator === 'eq' ? field : `${field}[${operator}]`);
+
+// Query parameter schemas for every allowed filter/operator
+exports.filterParameters = (filters) => {
+  const parameters = {};
+
+  for (const [field, filter] of Object.entries(filters)) {
+    for (const operator of filter.operators) {
+      const schema = baseSchema(filter);
+      parameters[parameterName(field, operator)] = {
+        ...(operator === 'in' ? { type: 'array', items: schema } : schema),
+        description: `${filter.description || field} ${OPERATORS[operator].label}`
+      };
+    }
+  }
+
+  return parameters;
+};
+
+// Query parameter schemas for sort and fields
+exports.listParameters = (spec) => {
+  const parameters = {};
+
+  if (spec.sortable) {
+    parameters.sort = {
+      type: 'string',
+      maxLength: 200,
+      description: `Comma-separated sort keys, prefix with - for descending (up to ${MAX_SORT_KEYS}). Allowed: ${spec.sortable.join(', ')}`
+    };
+  }
+
+  if (spec.selectable) {
+    const populated = Object.entries(spec.populated || {})
+      .flatMap(([path, options]) => [path, ...options.fields.map(sub => `${path}.${sub}`)]);
+    parameters.fields = {
+      type: 'string',
+      maxLength: 500,
+      description: `Comma-separated fields to return. Allowed: ${[...spec.selectable, ...(spec.computed || []), ...populated].join(', ')}`
+    };
+  }
+
+  return parameters;
+};
+
+// Build a MongoDB filter from the (already validated and coerced) query
+exports.parseFilters = (query, spec) => {
+  const filter = {};
+
+  for (const [field, options] of Object.entries(spec.filters || {})) {
+    for (const operator of options.operators) {
+      let value = query[parameterName(field, operator)];
+      if (value === undefined) continue;
+
+      if (options.type === 'date') {
+        value = Array.isArray(value) ? value.map(item => new Date(item)) : new Date(value);
+      }
+
+      filter[field] = { ...filter[field], [OPERATORS[operator].mongo]: value };
+    }
+  }
+
+  return filter;
+};
+
+// "-rating,title" -> { rating: -1, title: 1 }, or null when no sort was asked for
+exports.parseSort = (sortParam, spec) => {
+  if (!sortParam) return null;
+
+  const sort = {};
+  const errors = [];
+
+  for (const key of String(sortParam).split(',').map(part => part.trim()).filter(Boolean)) {
+    const field = key.replace(/^[-+]/, '');
+    if (!spec.sortable.includes(field)) {
+      errors.push({ location: 'query', field: 'sort', message: `Cannot sort by ${field}` });
+    } else if (sort[field] !== undefined) {
+      errors.push({ location: 'query', field: 'sort', message: `${field} appears more than once` });
+    } else {
+      sort[field] = key.startsWith('-') ? -1 : 1;
+    }
+  }
+
+  if (Object.keys(sort).length > MAX_SORT_KEYS) {
+    errors.push({ location: 'query', field: 'sort', message: `At most ${MAX_SORT_KEYS} sort keys are allowed` });
+  }
+  if (errors.length > 0) {
+    throw new BadRequestError('Invalid request', 'INVALID_REQUEST', errors);
+  }
+
+  return Object.keys(sort).length > 0 ? sort : null;
+};
+
+// "title,isbn,author.name" -> { select, populate, computed }. Without a fields
+// parameter everything is returned and relations use their default populate.
+// Sort keys are always selected so pagination cursors can be built.
+exports.parseFields = (fieldsParam, spec, sort = {}) => {
+  const populatedPaths = spec.populated || {};
+
+  if (!fieldsParam) {
+    return {
+      select: null,
+      populate: Object.entries(populatedPaths).map(([path, options]) => ({ path, select: options.default })),
+      computed: spec.computed || []
+    };
+  }
+
+  const select = new Set();
+  const populate = new Map();
+  const computed = [];
+  const errors = [];
+
+  for (const field of String(fieldsParam).split(',').map(part => part.trim()).filter(Boolean)) {
+    const [path, sub, ...rest] = field.split('.');
+
+    if (populatedPaths[path] && (sub === undefined || (populatedPaths[path].fields.includes(sub) && rest.length === 0))) {
+      select.add(path);
+      const subFields = populate.get(path) || [];
+      if (sub) subFields.push(sub);
+      populate.set(path, sub === undefined ? null : subFields);
+    } else if (sub === undefined && spec.selectable.includes(path)) {
+      select.add(path);
+    } else if (sub === undefined && (spec.computed || []).includes(path)) {
+      computed.push(path);
+    } else {
+      errors.push({ location: 'query', field: 'fields', message: `Unknown field ${field}` });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new BadRequestError('Invalid request', 'INVALID_REQUEST', errors);
+  }
+
+  for (const field of Object.keys(sort)) select.add(field);
+
+  return {
+    select: [...select].join(' '),
+    populate: [...populate.entries()].map(([path, subFields]) => ({
+      path,
+      select: subFields ? subFields.join(' ') : populatedPaths[path].default
+    })),
+    computed
+  };
+};
@@ -0,0 +1,328 @@
+// Accent-insensitive, typo-tolerant search on plain MongoDB.
+//
+// Models using the searchable() plugin keep two hidden, indexed arrays
+// built from their text fields:
+//
+//   searchTerms   folded words ("García Márquez" -> ["garcia", "marquez"])
+//   searchGrams   trigrams of the words in fuzzy fields, for typo candidates
+//
+// Model.search() fetches candidates that share a word, a prefix or enough
+// trigrams with the query, then ranks them here: exact words beat prefixes,
+// prefixes beat near misses, and matches in heavier fields count for more.
+
+const WORD = /[\p{L}\p{N}]+/gu;
+const CANDIDATE_LIMIT = 200;
+// Most matching documents looked at per query, so a common word or trigram
+// can't make a search read the whole collection
+const CANDIDATE_SCAN_LIMIT = 2000;
+const SNIPPET_LENGTH = 160;
+
+// Letters NFD doesn't decompose into a base letter plus accents
+const SPECIAL_LETTERS = { ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', ł: 'l', đ: 'd', ð: 'd', þ: 'th', ı: 'i' };
+
+// Lowercase and strip accents: "Ærø Straße" -> "aero strasse"
+const fold = (text) => Array.from(String(text ?? ''))
+  .map(char => {
+    const lower = char.toLowerCase();
+    return SPECIAL_LETTERS[lower] ?? lower.normalize('NFD').replace(/\p{M}/gu, '');
+  })
+  .join('');
+
+const tokenize = (text) => [...new Set(Array.from(String(text ?? '').matchAll(WORD), match => fold(match[0])))];
+
+const trigrams = (word) => {
+  const padded = `  ${word} `;
+  const grams = [];
+  for (let i = 0; i + 3 <= padded.length; i++) grams.push(padded.slice(i, i + 3));
+  return grams;
+};
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Typos tolerated for a word of this length
+const maxEdits = (length) => (length <= 3 ? 0 : length <= 7 ? 1 : 2);
+
+// Condition for documents that may hold a word within the allowed typos of
+// token. Each edit changes at most 4 of the token's trigrams (a swap
+// touches two letters), and a word the token only starts is missing its
+// closing one, so such a word shares all but `lost` of them. That makes
+// any lost + 1 trigrams enough for the indexed $in, and the count a filter
+// before anything is scored. Trigrams without padding go first as the
+// padded ones (word starts and ends) are the most common.
+const trigramCondition = (token, prefix) => {
+  const grams = [...new Set(trigrams(token))];
+  const lost = 4 * maxEdits(token.length) + (prefix ? 1 : 0);
+
+  if (grams.length - lost <= 1) return { searchGrams: { $in: grams } };
+
+  const probe = [...grams].sort((a, b) => a.includes(' ') - b.includes(' ')).slice(0, lost + 1);
+  return {
+    searchGrams: { $in: probe },
+    $expr: { $gte: [{ $size: { $setIntersection: [{ $ifNull: ['$searchGrams', []] }, grams] } }, grams.length - lost] }
+  };
+};
+
+// Edit distance counting a swap of neighbouring letters as one edit; gives
+// up and returns max + 1 once the distance must exceed max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// How well a folded word matches a query token, from 0 (no match) to 1
+const matchWord = (token, word, prefix) => {
+  if (word === token) return 1;
+  if (prefix && word.startsWith(token)) return 0.8;
+
+  const allowed = maxEdits(token.length);
+  if (allowed === 0) return 0;
+
+  const distance = editDistance(token, word, allowed);
+  if (distance <= allowed) return 0.6 / distance;
+
+  // A typo in a word that is still being typed
+  if (prefix && word.length > token.length) {
+    const prefixDistance = editDistance(token, word.slice(0, token.length), allowed);
+    if (prefixDistance <= allowed) return 0.5 / prefixDistance;
+  }
+
+  return 0;
+};
+
+// Best match of a token among a field's words. Only the last token of an
+// autocomplete query can be a prefix.
+const bestMatch = (token, words, prefix) => words.reduce((best, word) => Math.max(best, matchWord(token, word, prefix)), 0);
+
+// The text around the first match with every matching word wrapped in
+// <mark>, HTML-escaped; null when nothing in the text matches
+const highlight = (text, tokens, { autocomplete = false, maxLength = SNIPPET_LENGTH } = {}) => {
+  const source = String(text ?? '');
+  const ranges = [];
+
+  for (const match of source.matchAll(WORD)) {
+    const word = fold(match[0]);
+    const matched = tokens.some((token, index) => matchWord(token, word, autocomplete && index === tokens.length - 1) > 0);
+    if (matched) ranges.push([match.index, match.index + match[0].length]);
+  }
+  if (ranges.length === 0) return null;
+
+  let start = 0;
+  let end = source.length;
+  if (source.length > maxLength) {
+    start = Math.max(0, ranges[0][0] - Math.floor(maxLength / 4));
+    end = Math.min(source.length, start + maxLength);
+    // Don't cut words in half
+    const space = source.indexOf(' ', start);
+    if (start > 0 && space !== -1 && space < ranges[0][0]) start = space + 1;
+    const lastSpace = source.lastIndexOf(' ', end);
+    if (end < source.length && lastSpace > ranges[0][1]) end = lastSpace;
+  }
+
+  let snippet = start > 0 ? '…' : '';
+  let position = start;
+  for (const [from, to] of ranges) {
+    if (from < start || to > end) continue;
+    snippet += `${escapeHtml(source.slice(position, from))}<mark>${escapeHtml(source.slice(from, to))}</mark>`;
+    position = to;
+  }
+  snippet += escapeHtml(source.slice(position, end)) + (end < source.length ? '…' : '');
+
+  return snippet;
+};
+
+// Score a candidate: every query token has to match somewhere; each adds
+// its best match times the field weight. A fuzzy field equal to, or
+// starting with, the whole query gets a bonus.
+const scoreDocument = (doc, tokens, fields, autocomplete) => {
+  const fieldWords = Object.fromEntries(Object.keys(fields).map(field => [field, tokenize(doc[field])]));
+  let score = 0;
+
+  for (const [index, token] of tokens.entries()) {
+    const prefix = autocomplete && index === tokens.length - 1;
+    const best = Object.entries(fields).reduce(
+      (max, [field, options]) => Math.max(max, options.weight * bestMatch(token, fieldWords[field], prefix)),
+      0
+    );
+    if (best === 0) return null;
+    score += best;
+  }
+  score /= tokens.length;
+
+  const phrase = tokens.join(' ');
+  for (const [field, options] of Object.entries(fields)) {
+    if (!options.fuzzy) continue;
+    const value = fieldWords[field].join(' ');
+    if (value === phrase) score += options.weight;
+    else if (value.startsWith(phrase)) score += options.weight / 2;
+  }
+
+  const highlights = {};
+  for (const field of Object.keys(fields)) {
+    const snippet = doc[field] ? highlight(doc[field], tokens, { autocomplete }) : null;
+    if (snippet) highlights[field] = snippet;
+  }
+
+  return { doc, score: Math.round(score * 1000) / 1000, highlights };
+};
+
+// searchTerms/searchGrams for a document's current field values
+const searchValues = (doc, fields) => {
+  const terms = new Set();
+  const grams = new Set();
+
+  for (const [field, options] of Object.entries(fields)) {
+    for (const word of tokenize(doc[field])) {
+      terms.add(word);
+      if (options.fuzzy) trigrams(word).forEach(gram => grams.add(gram));
+    }
+  }
+
+  return { searchTerms: [...terms], searchGrams: [...grams] };
+};
+
+// Mongoose plugin. fields maps each searchable path to { weight, fuzzy };
+// only fuzzy fields (titles, names) get trigrams, so long texts match
+// exact words and prefixes but not typos.
+//
+//   bookSchema.plugin(searchable, { fields: { title: { weight: 3, fuzzy: true }, description: { weight: 1 } } });
+const searchable = (schema, { fields }) => {
+  const paths = Object.keys(fields);
+
+  schema.add({
+    searchTerms: { type: [String], select: false },
+    searchGrams: { type: [String], select: false }
+  });
+  schema.index({ searchTerms: 1 });
+  schema.index({ searchGrams: 1 });
+
+  schema.pre('save', function(next) {
+    if (this.isNew || paths.some(path => this.isModified(path))) {
+      Object.assign(this, searchValues(this, fields));
+    }
+    next();
+  });
+
+  // Updates may change only some of the fields, so read the others back
+  schema.pre(['findOneAndUpdate', 'updateOne'], async function() {
+    const update = this.getUpdate() || {};
+    const changed = (target) => target && paths.some(path => target[path] !== undefined);
+    if (!changed(update) && !changed(update.$set) && !changed(update.$unset)) return;
+
+    const current = await this.model.findOne(this.getFilter()).select(paths.join(' ')).lean();
+    if (!current) return;
+
+    const values = { ...current };
+    for (const path of paths) {
+      if (update[path] !== undefined) values[path] = update[path];
+      if (update.$set && update.$set[path] !== undefined) values[path] = update.$set[path];
+      if (update.$unset && update.$unset[path] !== undefined) values[path] = undefined;
+    }
+
+    this.setUpdate({ ...update, $set: { ...update.$set, ...searchValues(values, fields) } });
+  });
+
+  // Ranked matches for a free-text query: [{ doc, score, highlights }].
+  // With autocomplete the last word is treated as a prefix.
+  schema.statics.search = async function(query, { limit = 10, autocomplete = false, filter = {}, project = paths } = {}) {
+    const tokens = tokenize(query);
+    if (tokens.length === 0) return [];
+
+    const conditions = [];
+    const queryGrams = new Set();
+    tokens.forEach((token, index) => {
+      const prefix = autocomplete && index === tokens.length - 1;
+      conditions.push({ searchTerms: token });
+      if (prefix) {
+        conditions.push({ searchTerms: { $regex: `^${escapeRegex(token)}` } });
+      }
+      if (maxEdits(token.length) > 0) {
+        trigrams(token).forEach(gram => queryGrams.add(gram));
+        conditions.push(trigramCondition(token, prefix));
+      }
+    });
+
+    const projection = { $project: Object.fromEntries([...new Set([...paths, ...project])].map(path => [path, 1])) };
+
+    // Documents with every word come first: they are the best candidates
+    // and, however common the words, the scan limit below can't cut them
+    const candidates = await this.aggregate([
+      { $match: { ...filter, searchTerms: { $all: tokens } } },
+      { $limit: CANDIDATE_LIMIT },
+      projection
+    ]);
+
+    // Fill the shortlist with documents sharing some words, a prefix or
+    // enough trigrams, best first, before ranking in JS
+    if (candidates.length < CANDIDATE_LIMIT) {
+      candidates.push(...await this.aggregate([
+        { $match: { ...filter, $or: conditions } },
+        { $match: { _id: { $nin: candidates.map(doc => doc._id) } } },
+        { $limit: CANDIDATE_SCAN_LIMIT },
+        {
+          $addFields: {
+            sharedTerms: { $size: { $setIntersection: [{ $ifNull: ['$searchTerms', []] }, tokens] } },
+            sharedGrams: { $size: { $setIntersection: [{ $ifNull: ['$searchGrams', []] }, [...queryGrams]] } }
+          }
+        },
+        { $sort: { sharedTerms: -1, sharedGrams: -1 } },
+        { $limit: CANDIDATE_LIMIT - candidates.length },
+        projection
+      ]));
+    }
+
+    return candidates
+      .map(doc => scoreDocument(doc, tokens, fields, autocomplete))
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  };
+
+  // Fill in search terms for documents saved before the model was
+  // searchable. Returns how many documents were updated.
+  schema.statics.indexMissingSearchTerms = async function() {
+    let count = 0;
+    const cursor = this.find({ searchTerms: { $exists: false } }).select(paths.join(' ')).lean().cursor();
+
+    for await (const doc of cursor) {
+      await this.collection.updateOne({ _id: doc._id }, { $set: searchValues(doc, fields) });
+      count++;
+    }
+
+    return count;
+  };
+};
+
+module.exports = {
+  fold,
+  tokenize,
+  escapeRegex,
+  editDistance,
+  highlight,
+  searchable
+};
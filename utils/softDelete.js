@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Soft delete: deleting sets deletedAt/deletedBy and the document moves to
+// the trash (GET /api/trash) until it is restored or purged.
+//
+// Reads skip trashed documents: find/findOne/findOneAndUpdate/countDocuments/
+// distinct, and aggregations (their first $match). To reach them, mention
+// deletedAt in the filter ({ deletedAt: { $ne: null } } for the trash) or
+// call .withDeleted() on the query. updateOne/updateMany and deletes are
+// not filtered so maintenance such as reassigning books still reaches the
+// trash. $lookup stages have to add { deletedAt: null } themselves.
+
+const FILTERED_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'findOneAndReplace', 'countDocuments', 'distinct'];
+
+const mentionsDeletedAt = (filter) => {
+  if (!filter || typeof filter !== 'object') return false;
+  return Object.entries(filter).some(([key, value]) => key === 'deletedAt'
+    || (['$and', '$or', '$nor'].includes(key) && Array.isArray(value) && value.some(mentionsDeletedAt)));
+};
+
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+  });
+  schema.index({ deletedAt: 1 });
+
+  schema.query.withDeleted = function() {
+    this.mongooseOptions({ withDeleted: true });
+    return this;
+  };
+
+  schema.pre(FILTERED_QUERIES, function() {
+    if (this.mongooseOptions().withDeleted || mentionsDeletedAt(this.getFilter())) return;
+    this.where({ deletedAt: null });
+  });
+
+  // Merge into a leading $match so $text stays the first stage
+  schema.pre('aggregate', function() {
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+
+    if (first && first.$match) {
+      if (!mentionsDeletedAt(first.$match)) first.$match = { ...first.$match, deletedAt: null };
+    } else if (!(first && (first.$geoNear || first.$search))) {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  // Move a document to the trash. Written with updateOne so documents that
+  // no longer pass validation can still be deleted.
+  schema.methods.softDelete = async function(userId, { session = null, deletedAt = new Date() } = {}) {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $set: { deletedAt, deletedBy: userId || null } },
+      { session }
+    );
+    this.deletedAt = deletedAt;
+    this.deletedBy = userId || null;
+    return this;
+  };
+
+  schema.methods.restore = async function({ session = null } = {}) {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $set: { deletedAt: null, deletedBy: null } },
+      { session }
+    );
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this;
+  };
+};
+
+module.exports = { softDelete };
@@ -0,0 +1,30 @@
+// Multi-step writes (deletes with their dependants, merges, trash restores
+// and purges) run in a transaction where MongoDB supports them: replica
+// sets and sharded clusters. A standalone server doesn't, so there the same
+// steps run one after another without a session; they all still happen,
+// but a failure part way leaves the earlier ones done.
+
+// Whether the server behind connection supports transactions, asked once
+let supported;
+
+const supportsTransactions = async (connection) => {
+  if (supported === undefined) {
+    const hello = await connection.db.admin().command({ hello: 1 });
+    supported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+    if (!supported) {
+      console.warn('MongoDB is a standalone server: deletes, merges and trash purges run without transactions');
+    }
+  }
+  return supported;
+};
+
+// Run fn(session) in a transaction on connection, or with a null session
+// where transactions aren't available. Resolves to what fn returns.
+const runInTransaction = async (connection, fn) => {
+  if (await supportsTransactions(connection)) {
+    return connection.transaction(fn);
+  }
+  return fn(null);
+};
+
+module.exports = { runInTransaction, supportsTransactions };
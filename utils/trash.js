@@ -0,0 +1,170 @@
+const Book = require('../models/Book.js');
+const Author = require('../models/Author.js');
+const Category = require('../models/Category.js');
+const trashConfig = require('../config/trash.js');
+const { AppError, BadRequestError, ConflictError, NotFoundError } = require('./errors.js');
+const { runInTransaction } = require('./transaction.js');
+
+// Restoring and purging soft-deleted books, authors and categories (see
+// utils/softDelete.js). Each runs in a transaction where MongoDB supports
+// them (see utils/transaction.js).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Kinds of record in the trash, keyed by their URL segment
+const TRASH_TYPES = {
+  books: { model: Book, name: 'book', fields: 'title isbn author category' },
+  authors: { model: Author, name: 'author', fields: 'name nationality' },
+  categories: { model: Category, name: 'category', fields: 'name slug parentCategory' }
+};
+
+// When a record deleted at deletedAt will be purged
+const purgeDate = (deletedAt, retentionDays = trashConfig.retentionDays) => new Date(deletedAt.getTime() + retentionDays * DAY_MS);
+
+const findTrashed = async (type, id, session) => {
+  const { model, name } = TRASH_TYPES[type];
+  const doc = await model.findOne({ _id: id, deletedAt: { $ne: null } }).session(session);
+
+  if (!doc) {
+    throw new NotFoundError(`No ${name} with this ID in the trash`);
+  }
+
+  return doc;
+};
+
+// Put a record back. A book or category can't come back while its author
+// or parent category is still in the trash. Restoring an author also
+// restores the books deleted along with it.
+const restorers = {
+  books: async (book, session) => {
+    const authorTrashed = await Author.exists({ _id: book.author, deletedAt: { $ne: null } }).session(session);
+    if (authorTrashed) {
+      throw new ConflictError('Restore the book\'s author first', 'AUTHOR_IN_TRASH', { author: book.author });
+    }
+
+    await book.restore({ session });
+    return {};
+  },
+  authors: async (author, session) => {
+    const books = await Book.updateMany(
+      { author: author._id, deletedAt: author.deletedAt },
+      { $set: { deletedAt: null, deletedBy: null } },
+      { session }
+    );
+
+    await author.restore({ session });
+    return { booksRestored: books.modifiedCount };
+  },
+  categories: async (category, session) => {
+    const parentTrashed = category.parentCategory
+      && await Category.exists({ _id: category.parentCategory, deletedAt: { $ne: null } }).session(session);
+    if (parentTrashed) {
+      throw new ConflictError('Restore the parent category first', 'PARENT_IN_TRASH', { parentCategory: category.parentCategory });
+    }
+
+    await category.restore({ session });
+    return {};
+  }
+};
+
+// Permanently delete a record. Books go with their copies, reviews and
+// holds unless loans still point at them; authors and categories only once
+// nothing, including records in the trash, refers to them.
+const purgers = {
+  books: async (book, session) => {
+    const dependencies = (await Book.getDependencyCounts([book._id], session)).get(String(book._id));
+    if (Book.isPurgeBlocked(dependencies)) {
+      throw new BadRequestError(
+        `Cannot permanently delete a book with ${dependencies.loans} loans and ${dependencies.openHolds} open holds`,
+        'BOOK_HAS_DEPENDENCIES',
+        dependencies
+      );
+    }
+
+    const deleted = await Book.deleteWithDependents([book._id], session);
+    return { copies: deleted.copies, reviews: deleted.reviews, holds: deleted.holds };
+  },
+  authors: async (author, session) => {
+    const booksCount = await Book.countDocuments({ author: author._id }).withDeleted().session(session);
+    if (booksCount > 0) {
+      throw new BadRequestError(
+        `Cannot permanently delete an author with ${booksCount} books, counting books in the trash`,
+        'AUTHOR_HAS_BOOKS',
+        { booksCount }
+      );
+    }
+
+    await Author.deleteOne({ _id: author._id }, { session });
+    return {};
+  },
+  categories: async (category, session) => {
+    const childCount = await Category.countDocuments({ parentCategory: category._id }).withDeleted().session(session);
+    const booksCount = await Book.countDocuments({ category: category._id }).withDeleted().session(session);
+    if (childCount > 0 || booksCount > 0) {
+      throw new BadRequestError(
+        `Cannot permanently delete a category with ${childCount} child categories and ${booksCount} books, counting those in the trash`,
+        'CATEGORY_NOT_EMPTY',
+        { childCount, booksCount }
+      );
+    }
+
+    await Category.deleteOne({ _id: category._id }, { session });
+    return {};
+  }
+};
+
+// Restore a record from the trash: { doc, ...what else was restored }
+const restoreFromTrash = (type, id) => runInTransaction(Book.db, async (session) => {
+  const doc = await findTrashed(type, id, session);
+  const result = await restorers[type](doc, session);
+  return { doc, ...result };
+});
+
+// Permanently delete a record in the trash: { doc, deleted }
+const purgeFromTrash = (type, id) => runInTransaction(Book.db, async (session) => {
+  const doc = await findTrashed(type, id, session);
+  const deleted = await purgers[type](doc, session);
+  return { doc, deleted };
+});
+
+// Purge everything deleted more than retentionDays ago. Books go first so
+// the authors and categories they emptied can follow in the same run, and
+// records are retried while a pass makes progress (a child category frees
+// its parent). Whatever can't be purged yet is reported and kept.
+const purgeExpired = async ({ retentionDays = trashConfig.retentionDays, now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+  const summary = {};
+
+  for (const [type, { model }] of Object.entries(TRASH_TYPES)) {
+    let pending = await model.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('_id').lean();
+    let skipped = [];
+    let purged = 0;
+
+    while (pending.length > 0) {
+      skipped = [];
+      for (const { _id } of pending) {
+        try {
+          await purgeFromTrash(type, _id);
+          purged++;
+        } catch (error) {
+          if (!(error instanceof AppError)) throw error;
+          skipped.push({ _id, code: error.code, message: error.message });
+        }
+      }
+      if (skipped.length === pending.length) break;
+      pending = skipped;
+    }
+
+    summary[type] = { purged, skipped };
+  }
+
+  return summary;
+};
+
+module.exports = {
+  TRASH_TYPES,
+  purgeDate,
+  restoreFromTrash,
+  purgeFromTrash,
+  purgeExpired
+};
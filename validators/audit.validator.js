@@ -0,0 +1,31 @@
+const { objectId, pagination } = require('./common.js');
+
+const AUDIT_TYPES = ['books', 'authors', 'categories'];
+
+const auditFilters = {
+  action: { type: 'string', enum: ['create', 'update', 'delete', 'restore', 'purge'], description: 'Only entries of this kind (delete and restore are moves to and from the trash, purge is permanent)' },
+  actor: objectId('Only changes made by this user'),
+  from: { type: 'string', format: 'date-time', description: 'Only changes at or after this time (ISO 8601)' },
+  to: { type: 'string', format: 'date-time', description: 'Only changes at or before this time (ISO 8601)' },
+  ...pagination
+};
+
+module.exports = {
+  getAuditLog: {
+    method: 'get',
+    path: '/audit',
+    query: {
+      type: { type: 'string', enum: AUDIT_TYPES, description: 'Only changes to this kind of record' },
+      ...auditFilters
+    }
+  },
+  getDocumentHistory: {
+    method: 'get',
+    path: '/audit/{type}/{id}',
+    params: {
+      type: { type: 'string', enum: AUDIT_TYPES, description: 'Kind of record' },
+      id: objectId('Record ID')
+    },
+    query: auditFilters
+  }
+};
@@ -0,0 +1,158 @@
+const { MAX_PAGE_SIZE, objectId, pagination, limit, sorting, exportFormat, ranking, timestamps, ifMatch, mergePatchFields } = require('./common.js');
+const { filterParameters, listParameters } = require('../utils/query.js');
+
+const authorId = { id: objectId('Author ID') };
+
+// What GET /authors may filter, sort and select on (see utils/query.js)
+const authorListQuery = {
+  filters: {
+    nationality: { type: 'string', operators: ['eq', 'in'], description: 'Nationality' },
+    birthDate: { type: 'date', operators: ['gte', 'lte'], description: 'Birth date' }
+  },
+  sortable: ['name', 'nationality', 'birthDate', 'createdAt', 'updatedAt'],
+  selectable: ['name', 'biography', 'birthDate', 'nationality', 'email', 'website', 'aliases', 'createdAt', 'updatedAt']
+};
+
+// Filters shared by the list and export endpoints
+const authorFilters = {
+  ...filterParameters(authorListQuery.filters),
+  search: { type: 'string', minLength: 1, maxLength: 200, description: 'Search by name' }
+};
+
+// Fields a client may write; readOnly ones are accepted but ignored
+const authorFields = {
+  name: { type: 'string', minLength: 1, maxLength: 200 },
+  biography: { type: 'string', maxLength: 10000 },
+  birthDate: { type: 'string', format: 'date' },
+  nationality: { type: 'string', maxLength: 100 },
+  email: { type: 'string', format: 'email', maxLength: 254 },
+  website: { type: 'string', maxLength: 500 },
+  books: { type: 'array', readOnly: true },
+  aliases: { type: 'array', readOnly: true },
+  mergedIds: { type: 'array', readOnly: true },
+  ...timestamps
+};
+
+module.exports = {
+  listAuthors: {
+    method: 'get',
+    path: '/authors',
+    query: {
+      ...pagination,
+      ...sorting(['name', 'nationality', 'birthDate', 'createdAt'], 'name', 'asc'),
+      ...listParameters(authorListQuery),
+      ...authorFilters
+    },
+    listQuery: authorListQuery
+  },
+  exportAuthors: {
+    method: 'get',
+    path: '/authors/export',
+    query: { ...exportFormat, ...authorFilters },
+    listQuery: authorListQuery
+  },
+  searchAuthors: {
+    method: 'get',
+    path: '/authors/search',
+    query: {
+      query: { type: 'string', minLength: 1, maxLength: 200, description: 'Text to find in name or biography' },
+      nationality: { type: 'string', maxLength: 100, description: 'Filter by nationality' },
+      ...limit
+    },
+    required: ['query']
+  },
+  getTopAuthorsByBookCount: {
+    method: 'get',
+    path: '/authors/top-by-books',
+    query: { ...limit }
+  },
+  getTopAuthorsByRating: {
+    method: 'get',
+    path: '/authors/top-by-rating',
+    query: {
+      ...limit,
+      minBooks: { type: 'integer', minimum: 1, default: 1, description: 'Only include authors with at least this many rated books' },
+      ...ranking
+    }
+  },
+  getAllNationalities: {
+    method: 'get',
+    path: '/authors/nationalities',
+    query: {}
+  },
+  getAuthorsByNationality: {
+    method: 'get',
+    path: '/authors/nationality/{nationality}',
+    params: { nationality: { type: 'string', minLength: 1, maxLength: 100, description: 'Nationality' } },
+    query: { ...pagination }
+  },
+  getDuplicateAuthors: {
+    method: 'get',
+    path: '/authors/duplicates',
+    query: {
+      minScore: { type: 'number', minimum: 0, maximum: 1, default: 0.7, description: 'Only report pairs at least this likely to be the same author' },
+      limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: 50, description: `Number of pairs (at most ${MAX_PAGE_SIZE})` }
+    }
+  },
+  mergeAuthors: {
+    method: 'post',
+    path: '/authors/{id}/merge',
+    params: authorId,
+    body: {
+      properties: {
+        sourceIds: {
+          type: 'array',
+          items: objectId('Author ID'),
+          minItems: 1,
+          maxItems: 50,
+          description: 'Authors to merge into this one; they are deleted and their IDs redirect here'
+        }
+      },
+      required: ['sourceIds']
+    }
+  },
+  getAuthorStats: {
+    method: 'get',
+    path: '/authors/{id}/stats',
+    params: authorId,
+    query: {}
+  },
+  getAuthorById: {
+    method: 'get',
+    path: '/authors/{id}',
+    params: authorId,
+    query: {}
+  },
+  createAuthor: {
+    method: 'post',
+    path: '/authors',
+    body: { properties: authorFields, required: ['name'] }
+  },
+  updateAuthor: {
+    method: 'put',
+    path: '/authors/{id}',
+    params: authorId,
+    headers: ifMatch,
+    body: { properties: authorFields }
+  },
+  patchAuthor: {
+    method: 'patch',
+    path: '/authors/{id}',
+    params: authorId,
+    headers: ifMatch,
+    body: { properties: mergePatchFields(authorFields), contentType: 'application/merge-patch+json' }
+  },
+  deleteAuthor: {
+    method: 'delete',
+    path: '/authors/{id}',
+    params: authorId,
+    query: {
+      strategy: {
+        type: 'string',
+        enum: ['block', 'reassign', 'cascade'],
+        description: 'What to do with the author\'s books: block refuses and lists them, reassign moves them to reassignTo, cascade moves them to the trash along with the author. Defaults to reassign when reassignTo is given, otherwise block'
+      },
+      reassignTo: objectId('Author to move the books to')
+    }
+  }
+};
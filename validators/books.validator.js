@@ -0,0 +1,187 @@
+const Book = require('../models/Book.js');
+const { objectId, pagination, sorting, exportFormat, ranking, timestamps, ifMatch, mergePatchFields } = require('./common.js');
+const { filterParameters, listParameters } = require('../utils/query.js');
+
+const GENRES = Book.schema.path('genre').enumValues;
+
+const bookId = { id: objectId('Book ID') };
+
+// What GET /books may filter, sort and select on (see utils/query.js).
+// Filters are passed as field=value or field[operator]=value.
+const bookListQuery = {
+  filters: {
+    genre: { type: 'string', enum: GENRES, operators: ['eq', 'in'], description: 'Genre' },
+    category: { type: 'objectId', operators: ['eq', 'in'], description: 'Category ID' },
+    author: { type: 'objectId', operators: ['eq', 'in'], description: 'Author ID' },
+    inStock: { type: 'boolean', operators: ['eq'], description: 'In stock' },
+    language: { type: 'string', operators: ['eq', 'in'], description: 'Language' },
+    publisher: { type: 'string', operators: ['eq', 'in'], description: 'Publisher' },
+    price: { type: 'number', operators: ['eq', 'gte', 'lte'], description: 'Price' },
+    pages: { type: 'integer', operators: ['eq', 'gte', 'lte'], description: 'Page count' },
+    rating: { type: 'number', operators: ['gte', 'lte'], description: 'Rating' },
+    publishedDate: { type: 'date', operators: ['gte', 'lte'], description: 'Published date' }
+  },
+  sortable: ['createdAt', 'updatedAt', 'title', 'publishedDate', 'rating', 'ratingCount', 'pages', 'price'],
+  selectable: [
+    'title', 'isbn', 'isbnOriginal', 'publishedDate', 'publisher', 'pages', 'genre', 'description',
+    'language', 'price', 'inStock', 'rating', 'ratingCount', 'createdAt', 'updatedAt'
+  ],
+  populated: {
+    author: { fields: ['name', 'nationality', 'birthDate', 'website'], default: 'name nationality' },
+    category: { fields: ['name', 'slug'], default: 'name slug' }
+  },
+  computed: ['totalCopies', 'availableCopies']
+};
+
+// Filters shared by the list and export endpoints
+const bookFilters = {
+  ...filterParameters(bookListQuery.filters),
+  search: { type: 'string', minLength: 1, maxLength: 200, description: 'Search in title and description' },
+  minRating: { type: 'number', minimum: 0, maximum: 5, description: 'Minimum rating (same as rating[gte])' },
+  maxRating: { type: 'number', minimum: 0, maximum: 5, description: 'Maximum rating (same as rating[lte])' }
+};
+
+// Fields a client may write. Derived and server-maintained fields are
+// readOnly: accepted in a body (so a fetched book can be sent back) but ignored.
+const bookFields = {
+  title: { type: 'string', minLength: 1, maxLength: 500 },
+  author: objectId('Author ID'),
+  category: { ...objectId('Category ID'), nullable: true },
+  isbn: { type: 'string', maxLength: 20, description: 'ISBN-10 or ISBN-13, hyphens allowed; stored as ISBN-13' },
+  publishedDate: { type: 'string', format: 'date' },
+  publisher: { type: 'string', maxLength: 200 },
+  pages: { type: 'integer', minimum: 1 },
+  genre: { type: 'string', enum: GENRES },
+  description: { type: 'string', maxLength: 10000 },
+  language: { type: 'string', maxLength: 50 },
+  price: { type: 'number', minimum: 0 },
+  isbnOriginal: { type: 'string', readOnly: true },
+  inStock: { type: 'boolean', readOnly: true },
+  rating: { type: 'number', readOnly: true },
+  ratingCount: { type: 'integer', readOnly: true },
+  totalCopies: { type: 'integer', readOnly: true },
+  availableCopies: { type: 'integer', readOnly: true },
+  holdQueueLength: { type: 'integer', readOnly: true },
+  ...timestamps
+};
+
+module.exports = {
+  listBooks: {
+    method: 'get',
+    path: '/books',
+    query: { ...pagination, ...bookFilters, ...listParameters(bookListQuery) },
+    listQuery: bookListQuery
+  },
+  getBookFacets: {
+    method: 'get',
+    path: '/books/facets',
+    query: {
+      ...pagination,
+      ...bookFilters,
+      ...listParameters(bookListQuery),
+      facetLimit: { type: 'integer', minimum: 1, maximum: 50, default: 10, description: 'Number of values returned for the category, author and language facets' },
+      priceBuckets: {
+        type: 'array',
+        items: { type: 'number', minimum: 0 },
+        default: [0, 10, 20, 30, 50, 100],
+        description: 'Increasing price boundaries; the last bucket is open-ended'
+      },
+      yearBuckets: {
+        type: 'array',
+        items: { type: 'integer', minimum: 0, maximum: 9999 },
+        default: [1900, 1950, 1980, 2000, 2010, 2020],
+        description: 'Increasing publication-year boundaries; the last bucket is open-ended'
+      }
+    }
+  },
+  exportBooks: {
+    method: 'get',
+    path: '/books/export',
+    query: { ...exportFormat, ...bookFilters },
+    listQuery: bookListQuery
+  },
+  getBookStatistics: {
+    method: 'get',
+    path: '/books/stats/overview',
+    query: {}
+  },
+  getTopRatedBooksByCategory: {
+    method: 'get',
+    path: '/books/top-rated-by-category',
+    query: { ...ranking }
+  },
+  getBooksByAuthor: {
+    method: 'get',
+    path: '/books/author/{authorId}',
+    params: { authorId: objectId('Author ID') },
+    query: {}
+  },
+  getBooksByCategory: {
+    method: 'get',
+    path: '/books/category/{categoryId}',
+    params: { categoryId: objectId('Category ID') },
+    query: {
+      ...pagination,
+      ...sorting(['createdAt', 'title', 'publishedDate', 'rating', 'pages', 'price'], 'createdAt', 'desc')
+    }
+  },
+  getBookByIsbn: {
+    method: 'get',
+    path: '/books/isbn/{isbn}',
+    params: {
+      isbn: {
+        type: 'string',
+        pattern: '^[0-9Xx][0-9Xx -]{8,16}$',
+        'x-pattern-message': 'must be an ISBN-10 or ISBN-13',
+        description: 'ISBN-10 or ISBN-13, with or without hyphens'
+      }
+    },
+    query: {}
+  },
+  getBookById: {
+    method: 'get',
+    path: '/books/{id}',
+    params: bookId,
+    query: {}
+  },
+  createBook: {
+    method: 'post',
+    path: '/books',
+    body: { properties: bookFields, required: ['title', 'author'] }
+  },
+  updateBook: {
+    method: 'put',
+    path: '/books/{id}',
+    params: bookId,
+    headers: ifMatch,
+    body: { properties: bookFields }
+  },
+  patchBook: {
+    method: 'patch',
+    path: '/books/{id}',
+    params: bookId,
+    headers: ifMatch,
+    body: { properties: mergePatchFields(bookFields), contentType: 'application/merge-patch+json' }
+  },
+  updateBookStock: {
+    method: 'patch',
+    path: '/books/{id}/stock',
+    params: bookId
+  },
+  updateBookRating: {
+    method: 'patch',
+    path: '/books/{id}/rating',
+    params: bookId,
+    body: {
+      properties: {
+        rating: { type: 'integer', minimum: 1, maximum: 5, description: 'Your rating, 1 to 5' }
+      },
+      required: ['rating']
+    }
+  },
+  deleteBook: {
+    method: 'delete',
+    path: '/books/{id}',
+    params: bookId
+  }
+};
@@ -0,0 +1,29 @@
+const { objectId, timestamps } = require('./common.js');
+
+const categoryId = { id: objectId('Category ID') };
+
+// Fields a client may write; readOnly ones are accepted but ignored
+const categoryFields = {
+  name: { type: 'string', minLength: 1, maxLength: 100 },
+  description: { type: 'string', maxLength: 2000 },
+  isActive: { type: 'boolean' },
+  parentCategory: { ...objectId('Parent category ID, or null for a top-level category'), nullable: true },
+  slug: { type: 'string', readOnly: true },
+  children: { type: 'array', readOnly: true },
+  bookCount: { type: 'integer', readOnly: true },
+  ...timestamps
+};
+
+module.exports = {
+  createCategory: {
+    method: 'post',
+    path: '/categories',
+    body: { properties: categoryFields, required: ['name'] }
+  },
+  updateCategory: {
+    method: 'put',
+    path: '/categories/{id}',
+    params: categoryId,
+    body: { properties: categoryFields }
+  }
+};
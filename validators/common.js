@@ -0,0 +1,60 @@
+// Schemas shared by the route validators (see middleware/validate.js)
+
+const MAX_PAGE_SIZE = 100;
+
+exports.MAX_PAGE_SIZE = MAX_PAGE_SIZE;
+
+exports.objectId = (description) => ({
+  type: 'string',
+  pattern: '^[0-9a-fA-F]{24}$',
+  'x-pattern-message': 'must be a valid ID',
+  description
+});
+
+// Page numbers for existing clients, plus opaque cursors (utils/pagination.js)
+exports.pagination = {
+  page: { type: 'integer', minimum: 1, default: 1, description: 'Page number (ignored when after or before is given)' },
+  limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: 10, description: `Number of items per page (at most ${MAX_PAGE_SIZE})` },
+  after: { type: 'string', maxLength: 500, description: 'Return the page after this cursor (nextCursor from a previous response)' },
+  before: { type: 'string', maxLength: 500, description: 'Return the page before this cursor (prevCursor from a previous response)' },
+  withTotal: { type: 'boolean', default: true, description: 'Set to false to skip counting total and totalPages' }
+};
+
+exports.limit = {
+  limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: 10, description: `Number of results (at most ${MAX_PAGE_SIZE})` }
+};
+
+exports.sorting = (fields, defaultField, defaultOrder) => ({
+  sortBy: { type: 'string', enum: fields, default: defaultField, description: 'Field to sort by' },
+  order: { type: 'string', enum: ['asc', 'desc'], default: defaultOrder, description: 'Sort direction' }
+});
+
+exports.exportFormat = {
+  format: { type: 'string', enum: ['csv', 'ndjson', 'jsonl'], default: 'csv', description: 'Output format (jsonl is an alias for ndjson)' }
+};
+
+exports.ranking = {
+  ranking: { type: 'string', enum: ['weighted', 'average'], default: 'weighted', description: 'weighted pulls items with few reviews towards the catalog mean; average is the raw mean' }
+};
+
+// Server-maintained fields clients may echo back but never set
+exports.timestamps = {
+  _id: { type: 'string', readOnly: true },
+  __v: { type: 'integer', readOnly: true },
+  id: { type: 'string', readOnly: true },
+  createdAt: { type: 'string', format: 'date-time', readOnly: true },
+  updatedAt: { type: 'string', format: 'date-time', readOnly: true },
+  // Set by moving a record to the trash, never by an update
+  deletedAt: { type: 'string', format: 'date-time', readOnly: true },
+  deletedBy: { type: 'string', readOnly: true }
+};
+
+// Conditional write header (see utils/preconditions.js)
+exports.ifMatch = {
+  'If-Match': { type: 'string', description: 'ETag from the last GET; the update fails with 412 if the record changed since' }
+};
+
+// Body of a JSON Merge Patch: any writable field, null to remove it
+exports.mergePatchFields = (fields) => Object.fromEntries(
+  Object.entries(fields).map(([name, schema]) => [name, schema.readOnly ? schema : { ...schema, nullable: true }])
+);
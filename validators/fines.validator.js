@@ -0,0 +1,17 @@
+const LedgerEntry = require('../models/LedgerEntry.js');
+const { objectId, pagination } = require('./common.js');
+
+const TYPES = LedgerEntry.schema.path('type').enumValues;
+
+module.exports = {
+  getPatronLedger: {
+    method: 'get',
+    path: '/fines/patron/{patronId}',
+    params: { patronId: objectId('Patron ID') },
+    query: {
+      ...pagination,
+      limit: { ...pagination.limit, default: 20 },
+      type: { type: 'string', enum: TYPES, description: 'Filter by entry type' }
+    }
+  }
+};
@@ -0,0 +1,17 @@
+const Hold = require('../models/Hold.js');
+const { objectId, pagination } = require('./common.js');
+
+const STATUSES = Hold.schema.path('status').enumValues;
+
+module.exports = {
+  getAllHolds: {
+    method: 'get',
+    path: '/holds',
+    query: {
+      ...pagination,
+      status: { type: 'string', enum: STATUSES, description: 'Filter by hold status' },
+      patron: objectId('Filter by patron ID'),
+      book: objectId('Filter by book ID')
+    }
+  }
+};
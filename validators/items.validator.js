@@ -0,0 +1,17 @@
+const Item = require('../models/Item.js');
+const { objectId, pagination } = require('./common.js');
+
+const STATUSES = Item.schema.path('status').enumValues;
+
+module.exports = {
+  getAllItems: {
+    method: 'get',
+    path: '/items',
+    query: {
+      ...pagination,
+      book: objectId('Filter by book ID'),
+      status: { type: 'string', enum: STATUSES, description: 'Filter by status' },
+      shelfLocation: { type: 'string', maxLength: 100, description: 'Filter by shelf location' }
+    }
+  }
+};
@@ -0,0 +1,28 @@
+const Loan = require('../models/Loan.js');
+const { objectId, pagination } = require('./common.js');
+
+const STATUSES = Loan.schema.path('status').enumValues;
+
+module.exports = {
+  getAllLoans: {
+    method: 'get',
+    path: '/loans',
+    query: {
+      ...pagination,
+      status: { type: 'string', enum: STATUSES, description: 'Filter by loan status' },
+      patron: objectId('Filter by patron ID'),
+      book: objectId('Filter by book ID')
+    }
+  },
+  getOverdueLoans: {
+    method: 'get',
+    path: '/loans/overdue',
+    query: { ...pagination }
+  },
+  getBookLoanHistory: {
+    method: 'get',
+    path: '/loans/book/{bookId}',
+    params: { bookId: objectId('Book ID') },
+    query: { ...pagination }
+  }
+};
@@ -0,0 +1,30 @@
+const { objectId } = require('./common.js');
+
+const MAX_EXPORT_IDS = 1000;
+
+const marcFormat = {
+  format: { type: 'string', enum: ['marc', 'marcxml'], default: 'marcxml', description: 'MARC21 (ISO 2709) or MARCXML' }
+};
+
+module.exports = {
+  exportRecords: {
+    method: 'get',
+    path: '/marc/books',
+    query: {
+      ...marcFormat,
+      ids: {
+        type: 'array',
+        items: objectId('Book ID'),
+        minItems: 1,
+        maxItems: MAX_EXPORT_IDS,
+        description: `Comma-separated book IDs (at most ${MAX_EXPORT_IDS}); every book is exported when omitted`
+      }
+    }
+  },
+  exportRecord: {
+    method: 'get',
+    path: '/marc/books/{id}',
+    params: { id: objectId('Book ID') },
+    query: { ...marcFormat }
+  }
+};
@@ -0,0 +1,40 @@
+const Patron = require('../models/Patron.js');
+const { objectId, pagination, sorting, limit } = require('./common.js');
+
+const STATUSES = Patron.schema.path('status').enumValues;
+const MEMBERSHIP_TYPES = Patron.schema.path('membershipType').enumValues;
+
+const patronId = { id: objectId('Patron ID') };
+
+module.exports = {
+  getAllPatrons: {
+    method: 'get',
+    path: '/patrons',
+    query: {
+      ...pagination,
+      ...sorting(['lastName', 'firstName', 'cardNumber', 'membershipExpiry', 'createdAt'], 'lastName', 'asc'),
+      status: { type: 'string', enum: STATUSES, description: 'Filter by status' },
+      membershipType: { type: 'string', enum: MEMBERSHIP_TYPES, description: 'Filter by membership type' }
+    }
+  },
+  searchPatrons: {
+    method: 'get',
+    path: '/patrons/search',
+    query: {
+      query: { type: 'string', minLength: 1, maxLength: 100, description: 'Text to find in the name, email, phone or card number' },
+      status: { type: 'string', enum: STATUSES, description: 'Filter by status' },
+      ...limit
+    },
+    required: ['query']
+  },
+  renewMembership: {
+    method: 'patch',
+    path: '/patrons/{id}/renew',
+    params: patronId,
+    body: {
+      properties: {
+        months: { type: 'integer', minimum: 1, maximum: 120, description: 'Months to extend the membership by (12 when omitted)' }
+      }
+    }
+  }
+};
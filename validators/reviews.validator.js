@@ -0,0 +1,26 @@
+const Review = require('../models/Review.js');
+const { objectId, pagination, sorting } = require('./common.js');
+
+const STATUSES = Review.schema.path('status').enumValues;
+
+module.exports = {
+  getAllReviews: {
+    method: 'get',
+    path: '/reviews',
+    query: {
+      ...pagination,
+      status: { type: 'string', enum: STATUSES, description: 'Filter by moderation status' },
+      book: objectId('Filter by book ID'),
+      reviewer: objectId('Filter by reviewer user ID')
+    }
+  },
+  getBookReviews: {
+    method: 'get',
+    path: '/reviews/book/{bookId}',
+    params: { bookId: objectId('Book ID') },
+    query: {
+      ...pagination,
+      ...sorting(['createdAt', 'rating'], 'createdAt', 'desc')
+    }
+  }
+};
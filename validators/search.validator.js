@@ -0,0 +1,34 @@
+const { MAX_PAGE_SIZE } = require('./common.js');
+
+const SEARCH_TYPES = ['books', 'authors', 'categories'];
+
+const searchQuery = {
+  q: { type: 'string', minLength: 1, maxLength: 200, description: 'Text to search for; accents and small typos are ignored' },
+  types: {
+    type: 'array',
+    items: { type: 'string', enum: SEARCH_TYPES },
+    default: SEARCH_TYPES,
+    description: 'Comma-separated kinds of result to include'
+  }
+};
+
+module.exports = {
+  search: {
+    method: 'get',
+    path: '/search',
+    query: {
+      ...searchQuery,
+      limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: 20, description: `Number of results (at most ${MAX_PAGE_SIZE})` }
+    },
+    required: ['q']
+  },
+  autocomplete: {
+    method: 'get',
+    path: '/search/autocomplete',
+    query: {
+      ...searchQuery,
+      limit: { type: 'integer', minimum: 1, maximum: 20, default: 8, description: 'Number of suggestions (at most 20)' }
+    },
+    required: ['q']
+  }
+};
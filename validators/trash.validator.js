@@ -0,0 +1,34 @@
+const { objectId, pagination } = require('./common.js');
+
+const TRASH_TYPES = ['books', 'authors', 'categories'];
+
+const trashItem = {
+  type: { type: 'string', enum: TRASH_TYPES, description: 'Kind of record' },
+  id: objectId('ID of the deleted record')
+};
+
+module.exports = {
+  getTrash: {
+    method: 'get',
+    path: '/trash',
+    query: {
+      type: { type: 'string', enum: TRASH_TYPES, default: 'books', description: 'Kind of record to list' },
+      ...pagination
+    }
+  },
+  purgeTrash: {
+    method: 'post',
+    path: '/trash/purge',
+    query: {}
+  },
+  restoreItem: {
+    method: 'post',
+    path: '/trash/{type}/{id}/restore',
+    params: trashItem
+  },
+  purgeItem: {
+    method: 'delete',
+    path: '/trash/{type}/{id}',
+    params: trashItem
+  }
+};